@@ -0,0 +1,298 @@
+/**
+ * In-memory stand-in for @supabase/supabase-js in the test suites; jest uses it in place of
+ * the real client automatically. Every client shares one store: tests seed and inspect rows
+ * through __tables, register database functions in __rpc, make the next write to a table
+ * fail with __failNextWrite(table, error) and start over with __reset().
+ *
+ * Queries support select/insert/update/upsert/delete, the eq, neq, gt, gte, lt, lte, in, is
+ * and not filters, PostgREST or() strings of those (with nested and()), order, limit, single
+ * and maybeSingle. Selected columns are not projected and joins are not resolved.
+ */
+const { randomUUID } = require('crypto');
+
+const __tables = {};
+const __rpc = {};
+const failures = new Map();
+
+const __reset = () => {
+  for (const name of Object.keys(__tables)) delete __tables[name];
+  for (const name of Object.keys(__rpc)) delete __rpc[name];
+  failures.clear();
+};
+
+const __failNextWrite = (table, error) => {
+  failures.set(table, error);
+};
+
+const tableRows = (table) => {
+  __tables[table] = __tables[table] || [];
+  return __tables[table];
+};
+
+// Comparable form of a value: numbers and numeric strings compare as numbers
+const comparable = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  const number = Number(value);
+  return value !== '' && !Number.isNaN(number) && /^-?[\d.]+$/.test(String(value)) ? number : String(value);
+};
+
+const OPERATORS = {
+  eq: (a, b) => a !== null && comparable(a) === comparable(b),
+  neq: (a, b) => a !== null && comparable(a) !== comparable(b),
+  gt: (a, b) => a !== null && comparable(a) > comparable(b),
+  gte: (a, b) => a !== null && comparable(a) >= comparable(b),
+  lt: (a, b) => a !== null && comparable(a) < comparable(b),
+  lte: (a, b) => a !== null && comparable(a) <= comparable(b),
+  in: (a, list) => a !== null && list.some(b => comparable(a) === comparable(b)),
+  is: (a, b) => (b === null ? a === null || a === undefined : a === b)
+};
+
+// Split a PostgREST filter list on the commas outside parentheses and quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.filter(Boolean);
+};
+
+const parseValue = (raw) => {
+  const value = raw.replace(/^"|"$/g, '');
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// One condition of an or() string: column.operator.value, and(...) or or(...)
+const parseCondition = (text) => {
+  const group = text.match(/^(and|or)\((.*)\)$/);
+  if (group) {
+    const conditions = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === 'and'
+      ? row => conditions.every(condition => condition(row))
+      : row => conditions.some(condition => condition(row));
+  }
+
+  const [column, operator, ...rest] = text.split('.');
+  const raw = rest.join('.');
+
+  if (operator === 'not') {
+    const inner = parseCondition(`${column}.${raw}`);
+    return row => !inner(row);
+  }
+
+  const value = operator === 'in'
+    ? splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(parseValue)
+    : parseValue(raw);
+
+  return row => OPERATORS[operator](row[column] ?? null, value);
+};
+
+class QueryBuilder {
+  constructor(table) {
+    this.table = table;
+    this.action = 'select';
+    this.values = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.rowLimit = null;
+    this.mode = 'many';
+    this.returning = false;
+  }
+
+  select() {
+    this.returning = true;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.values = values;
+    this.options = options;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(row => OPERATORS[operator](row[column] ?? null, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+
+  not(column, operator, value) {
+    this.filters.push(row => !OPERATORS[operator](row[column] ?? null, value));
+    return this;
+  }
+
+  or(text) {
+    const conditions = splitTopLevel(text).map(parseCondition);
+    this.filters.push(row => conditions.some(condition => condition(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  run() {
+    const rows = tableRows(this.table);
+
+    if (this.action !== 'select' && failures.has(this.table)) {
+      const error = failures.get(this.table);
+      failures.delete(this.table);
+      return { data: null, error };
+    }
+
+    let result;
+    switch (this.action) {
+      case 'insert': {
+        result = [].concat(this.values).map(values => ({ id: randomUUID(), ...values }));
+        rows.push(...result);
+        break;
+      }
+      case 'upsert': {
+        const keys = (this.options.onConflict || 'id').split(',');
+        result = [].concat(this.values).map(values => {
+          const existing = rows.find(row => keys.every(key => comparable(row[key]) === comparable(values[key])));
+          if (existing) {
+            return Object.assign(existing, values);
+          }
+          const row = { id: randomUUID(), ...values };
+          rows.push(row);
+          return row;
+        });
+        break;
+      }
+      case 'update': {
+        result = rows.filter(row => this.matches(row));
+        result.forEach(row => Object.assign(row, this.values));
+        break;
+      }
+      case 'delete': {
+        result = rows.filter(row => this.matches(row));
+        __tables[this.table] = rows.filter(row => !result.includes(row));
+        break;
+      }
+      default:
+        result = rows.filter(row => this.matches(row));
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      result = [...result].sort((a, b) => {
+        const [x, y] = [comparable(a[column]), comparable(b[column])];
+        if (x === y) return 0;
+        return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+      });
+    }
+
+    if (this.rowLimit !== null) {
+      result = result.slice(0, this.rowLimit);
+    }
+
+    // Copies, so callers cannot change the stored rows
+    result = result.map(row => ({ ...row }));
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    if (this.mode === 'single' && result.length !== 1) {
+      return { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${result.length}` } };
+    }
+
+    if (this.mode !== 'many') {
+      return { data: result[0] || null, error: null };
+    }
+
+    return { data: result, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+const createClient = () => ({
+  from: table => new QueryBuilder(table),
+
+  async rpc(name, params) {
+    if (!__rpc[name]) {
+      return { data: null, error: { message: `function ${name} does not exist` } };
+    }
+
+    try {
+      return { data: await __rpc[name](params), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+});
+
+module.exports = {
+  createClient,
+  __tables,
+  __rpc,
+  __reset,
+  __failNextWrite
+};
@@ -14,9 +14,22 @@ const optionalEnvVars = [
   'PORT',
   'NODE_ENV',
   'FRONTEND_URL',
+  'PUBLIC_URL',
   'ANKR_API_KEY',
   'BLOCKCYPHER_API_KEY',
-  'BLOCKSTREAM_API_KEY'
+  'BLOCKSTREAM_API_KEY',
+  'ETHERSCAN_API_KEY',
+  'TRONGRID_API_KEY',
+  'BLOCKCHAIN_PROVIDERS',
+  'EVM_CHAINS',
+  'PRICE_API_URL',
+  'COINGECKO_API_KEY',
+  'RATE_LOCK_SECONDS',
+  'LIGHTNING_BACKEND',
+  'LIGHTNING_URL',
+  'LIGHTNING_MACAROON',
+  'LIGHTNING_RUNE',
+  'LIGHTNING_TLS_CERT'
 ];
 
 // Validate required environment variables
@@ -28,6 +41,17 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Provider overrides are JSON keyed by chain (see config/providers.js)
+let blockchainProviders = {};
+if (process.env.BLOCKCHAIN_PROVIDERS) {
+  try {
+    blockchainProviders = JSON.parse(process.env.BLOCKCHAIN_PROVIDERS);
+  } catch (error) {
+    console.error('❌ BLOCKCHAIN_PROVIDERS is not valid JSON:', error.message);
+    process.exit(1);
+  }
+}
+
 module.exports = {
   // Server configuration
   PORT: parseInt(process.env.PORT) || 3000,
@@ -50,16 +74,60 @@ module.exports = {
   ANKR_API_KEY: process.env.ANKR_API_KEY,
   BLOCKCYPHER_API_KEY: process.env.BLOCKCYPHER_API_KEY,
   BLOCKSTREAM_API_KEY: process.env.BLOCKSTREAM_API_KEY,
+  ETHERSCAN_API_KEY: process.env.ETHERSCAN_API_KEY,
+  TRONGRID_API_KEY: process.env.TRONGRID_API_KEY,
+
+  // Pricing
+  PRICE_API_URL: process.env.PRICE_API_URL || 'https://api.coingecko.com/api/v3',
+  COINGECKO_API_KEY: process.env.COINGECKO_API_KEY,
+  RATE_LOCK_SECONDS: parseInt(process.env.RATE_LOCK_SECONDS) || 900, // 15 minutes
 
   // Frontend
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
 
-  // Blockchain RPC endpoints
+  // Public HTTPS origin of this server, for links wallets call back (Solana Pay transaction requests)
+  PUBLIC_URL: (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '') || null,
+
+  // Self-hosted or paid nodes, tried before the public providers
   BLOCKCHAIN_ENDPOINTS: {
-    BTC: process.env.BTC_RPC_URL || 'https://blockstream.info/api',
-    ETH: process.env.ETH_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2',
-    SOL: process.env.SOL_RPC_URL || 'https://api.mainnet-beta.solana.com',
-    BNB: process.env.BNB_RPC_URL || 'https://bsc-dataseed.binance.org',
-    LTC: process.env.LTC_RPC_URL || 'https://litecoin-blockbook.blockcypher.com/api'
+    BTC: process.env.BTC_RPC_URL, // Esplora API
+    LTC: process.env.LTC_RPC_URL, // Blockbook
+    DOGE: process.env.DOGE_RPC_URL, // Blockbook
+    BCH: process.env.BCH_RPC_URL, // Blockbook
+    ETH: process.env.ETH_RPC_URL, // EVM JSON-RPC
+    BNB: process.env.BNB_RPC_URL, // EVM JSON-RPC
+    POL: process.env.POL_RPC_URL, // EVM JSON-RPC
+    ARB: process.env.ARB_RPC_URL, // EVM JSON-RPC
+    BASE: process.env.BASE_RPC_URL, // EVM JSON-RPC
+    OP: process.env.OP_RPC_URL, // EVM JSON-RPC
+    TRX: process.env.TRX_RPC_URL, // TronGrid-compatible HTTP API
+    SOL: process.env.SOL_RPC_URL // Solana JSON-RPC
+  },
+  BLOCKCHAIN_PROVIDERS: blockchainProviders,
+
+  // EVM networks payments are accepted on (see config/evmChains.js)
+  EVM_CHAINS: (process.env.EVM_CHAINS || 'ethereum,bsc,polygon')
+    .split(',')
+    .map(network => network.trim())
+    .filter(Boolean),
+
+  // rawtx ZMQ feeds of local nodes for instant mempool detection, e.g. tcp://127.0.0.1:28332
+  ZMQ_ENDPOINTS: {
+    BTC: process.env.BTC_ZMQ_URL,
+    LTC: process.env.LTC_ZMQ_URL,
+    DOGE: process.env.DOGE_ZMQ_URL,
+    BCH: process.env.BCH_ZMQ_URL
+  },
+
+  // Follow EVM blocks instead of polling each open EVM payment
+  EVM_BLOCK_WATCHER: process.env.EVM_BLOCK_WATCHER !== 'false',
+
+  // Lightning node issuing invoices for BTC payments with method 'lightning'
+  LIGHTNING: {
+    backend: process.env.LIGHTNING_BACKEND || 'lnd', // lnd, cln or fake (in-memory, for tests)
+    url: process.env.LIGHTNING_URL, // REST API, e.g. https://127.0.0.1:8080
+    macaroon: process.env.LIGHTNING_MACAROON, // LND invoice macaroon, hex
+    rune: process.env.LIGHTNING_RUNE, // Core Lightning rune
+    tlsCert: process.env.LIGHTNING_TLS_CERT // self-signed node certificate, PEM or base64
   }
 };
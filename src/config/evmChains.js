@@ -0,0 +1,129 @@
+const { EVM_CHAINS: ENABLED_NETWORKS } = require('./environment');
+
+// EVM chains keyed by network. Every chain shares the merchant's EVM key, so the address
+// derived for a payment is valid on all of them; a payment is bound to one by its chain id.
+//   chain                  key of the chain's provider pool, confirmations and scan state
+//   chainId                EIP-155 chain id, also selects the chain on Etherscan v2
+//   nativeCurrency         coin paid as the chain's own currency
+//   requiredConfirmations  default confirmations before a payment settles
+//   blockTime              average block time in seconds, used to estimate a start height
+//   ankr, rpcs             public JSON-RPC endpoints (Ankr network slug, other named RPCs)
+//   tokens                 stablecoin contracts accepted on the chain
+const EVM_CHAIN_DEFINITIONS = {
+  ethereum: {
+    name: 'Ethereum',
+    chain: 'ETH',
+    chainId: 1,
+    nativeCurrency: 'ETH',
+    requiredConfirmations: 12,
+    blockTime: 12,
+    ankr: 'eth',
+    rpcs: [{ name: 'publicnode', url: 'https://ethereum-rpc.publicnode.com' }],
+    tokens: {
+      USDT: { standard: 'ERC-20', contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+      USDC: { standard: 'ERC-20', contract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 }
+    }
+  },
+  bsc: {
+    name: 'BNB Smart Chain',
+    chain: 'BNB',
+    chainId: 56,
+    nativeCurrency: 'BNB',
+    requiredConfirmations: 15,
+    blockTime: 3,
+    ankr: 'bsc',
+    rpcs: [{ name: 'binance', url: 'https://bsc-dataseed.binance.org' }],
+    tokens: {
+      // BSC's bridged stablecoins use 18 decimals
+      USDT: { standard: 'BEP-20', contract: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 },
+      USDC: { standard: 'BEP-20', contract: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18 }
+    }
+  },
+  polygon: {
+    name: 'Polygon',
+    chain: 'POL',
+    chainId: 137,
+    nativeCurrency: 'POL',
+    requiredConfirmations: 64,
+    blockTime: 2,
+    ankr: 'polygon',
+    rpcs: [{ name: 'polygon', url: 'https://polygon-rpc.com' }],
+    tokens: {
+      USDT: { standard: 'ERC-20', contract: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6 },
+      // Native USDC, not the bridged USDC.e
+      USDC: { standard: 'ERC-20', contract: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 }
+    }
+  },
+  // Rollups pay in ETH. Their sequencer orders blocks and rarely reorgs them, so a few
+  // seconds of confirmations suffice; settlement on Ethereum takes much longer.
+  arbitrum: {
+    name: 'Arbitrum One',
+    chain: 'ARB',
+    chainId: 42161,
+    nativeCurrency: 'ETH',
+    requiredConfirmations: 40,
+    blockTime: 0.25,
+    ankr: 'arbitrum',
+    rpcs: [{ name: 'arbitrum', url: 'https://arb1.arbitrum.io/rpc' }],
+    tokens: {
+      USDT: { standard: 'ERC-20', contract: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 },
+      USDC: { standard: 'ERC-20', contract: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }
+    }
+  },
+  base: {
+    name: 'Base',
+    chain: 'BASE',
+    chainId: 8453,
+    nativeCurrency: 'ETH',
+    requiredConfirmations: 10,
+    blockTime: 2,
+    ankr: 'base',
+    rpcs: [{ name: 'base', url: 'https://mainnet.base.org' }],
+    tokens: {
+      // Tether has no USDT deployment on Base
+      USDC: { standard: 'ERC-20', contract: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 }
+    }
+  },
+  optimism: {
+    name: 'OP Mainnet',
+    chain: 'OP',
+    chainId: 10,
+    nativeCurrency: 'ETH',
+    requiredConfirmations: 10,
+    blockTime: 2,
+    ankr: 'optimism',
+    rpcs: [{ name: 'optimism', url: 'https://mainnet.optimism.io' }],
+    tokens: {
+      USDT: { standard: 'ERC-20', contract: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', decimals: 6 },
+      USDC: { standard: 'ERC-20', contract: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 }
+    }
+  }
+};
+
+/**
+ * Chains switched on by EVM_CHAINS, in definition order
+ */
+const buildEnabledChains = () => {
+  for (const network of ENABLED_NETWORKS) {
+    if (!EVM_CHAIN_DEFINITIONS[network]) {
+      console.warn(`EVM_CHAINS: ignoring unknown network ${network}`);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(EVM_CHAIN_DEFINITIONS).filter(([network]) => ENABLED_NETWORKS.includes(network))
+  );
+};
+
+const EVM_CHAINS = buildEnabledChains();
+
+/**
+ * Definition of an enabled EVM network, or null for other networks
+ */
+const getEvmChain = (network) => EVM_CHAINS[network] || null;
+
+module.exports = {
+  EVM_CHAIN_DEFINITIONS,
+  EVM_CHAINS,
+  getEvmChain
+};
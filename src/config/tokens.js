@@ -0,0 +1,86 @@
+const { EVM_CHAINS } = require('./evmChains');
+const { UTXO_CHAINS } = require('./utxoChains');
+
+// Stablecoin contracts (mints on Solana) and decimals for every network they are accepted on.
+// The same token can have different decimals per network, e.g. USDT is 6 on Ethereum but 18 on BSC.
+// EVM contracts come from the enabled chains in config/evmChains.js and are listed first.
+const TOKENS = {};
+
+const NON_EVM_TOKENS = {
+  USDT: {
+    tron: { standard: 'TRC-20', contract: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', decimals: 6 },
+    solana: { standard: 'SPL', mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6 }
+  },
+  USDC: {
+    solana: { standard: 'SPL', mint: 'EPjFWdd5AufqSSqeM2qPSM9yBfFFJxbLxfANZTqDt1v', decimals: 6 }
+  }
+};
+
+// Networks each native currency settles on; the first is its default
+const NATIVE_NETWORKS = {
+  TRX: ['tron'],
+  SOL: ['solana']
+};
+
+for (const [currency, { network }] of Object.entries(UTXO_CHAINS)) {
+  NATIVE_NETWORKS[currency] = [network];
+}
+
+for (const [network, { nativeCurrency, tokens }] of Object.entries(EVM_CHAINS)) {
+  NATIVE_NETWORKS[nativeCurrency] = [...(NATIVE_NETWORKS[nativeCurrency] || []), network];
+
+  for (const [currency, token] of Object.entries(tokens)) {
+    TOKENS[currency] = { ...TOKENS[currency], [network]: token };
+  }
+}
+
+for (const [currency, networks] of Object.entries(NON_EVM_TOKENS)) {
+  TOKENS[currency] = { ...TOKENS[currency], ...networks };
+}
+
+// Tokens are paid on Ethereum unless the payment names another network
+const DEFAULT_TOKEN_NETWORK = 'ethereum';
+
+const NETWORKS = [
+  ...Object.values(UTXO_CHAINS).map(({ network }) => network),
+  ...Object.keys(EVM_CHAINS),
+  'tron',
+  'solana'
+];
+
+/**
+ * Networks a currency can be paid on
+ */
+const getNetworks = (currency) => {
+  if (TOKENS[currency]) {
+    return Object.keys(TOKENS[currency]);
+  }
+  return NATIVE_NETWORKS[currency] || [];
+};
+
+/**
+ * Network a payment settles on when none was requested
+ */
+const getDefaultNetwork = (currency) => {
+  if (TOKENS[currency]) {
+    return TOKENS[currency][DEFAULT_TOKEN_NETWORK] ? DEFAULT_TOKEN_NETWORK : Object.keys(TOKENS[currency])[0];
+  }
+  return NATIVE_NETWORKS[currency] ? NATIVE_NETWORKS[currency][0] : null;
+};
+
+/**
+ * Registry entry of a token on a network, or null for native currencies and unsupported pairs
+ */
+const getToken = (currency, network) => {
+  return (TOKENS[currency] && TOKENS[currency][network]) || null;
+};
+
+module.exports = {
+  TOKENS,
+  NATIVE_NETWORKS,
+  DEFAULT_TOKEN_NETWORK,
+  NETWORKS,
+  getNetworks,
+  getDefaultNetwork,
+  getToken
+};
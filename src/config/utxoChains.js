@@ -0,0 +1,147 @@
+const { BLOCKCYPHER_API_KEY } = require('./environment');
+
+// Address types a BIP32 key can derive on chains with SegWit and taproot
+const SEGWIT_ADDRESS_TYPES = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+// UTXO chains keyed by chain, which is also their currency.
+//   network                network payments on the chain settle on
+//   uriScheme              BIP21 URI scheme wallets open payment links and QR codes with
+//   coinType               BIP44 coin type of the account paths (m/purpose'/coinType'/account')
+//   params                 bitcoinjs-lib network parameters: message prefix, bech32 HRP,
+//                          BIP32 private/public version bytes, base58 version bytes
+//   cashAddrPrefix         CashAddr prefix for chains that show addresses as CashAddr
+//   addressTypes           receive address types, the first is the default
+//   extendedKeyVersions    SLIP-0132 account key prefixes and the address types each serves
+//   requiredConfirmations  default confirmations before a payment settles
+//   blockTime              average block time in seconds, used to estimate a start height
+//   endpointType           provider type behind the chain's *_RPC_URL
+//   providers              public Esplora, Blockbook and BlockCypher providers
+const UTXO_CHAINS = {
+  BTC: {
+    name: 'Bitcoin',
+    network: 'bitcoin',
+    uriScheme: 'bitcoin',
+    coinType: 0,
+    params: {
+      messagePrefix: '\x18Bitcoin Signed Message:\n',
+      bech32: 'bc',
+      bip32: { public: 0x0488b21e, private: 0x0488ade4 },
+      pubKeyHash: 0x00,
+      scriptHash: 0x05,
+      wif: 0x80
+    },
+    cashAddrPrefix: null,
+    addressTypes: SEGWIT_ADDRESS_TYPES,
+    extendedKeyVersions: [
+      // Plain xpub keys are exported for every purpose; BIP86 taproot has no prefix of its own
+      { prefix: 'xpub', version: 0x0488b21e, addressTypes: SEGWIT_ADDRESS_TYPES },
+      { prefix: 'ypub', version: 0x049d7cb2, addressTypes: ['p2sh-p2wpkh'] },
+      { prefix: 'zpub', version: 0x04b24746, addressTypes: ['p2wpkh'] }
+    ],
+    requiredConfirmations: 3,
+    blockTime: 600,
+    endpointType: 'esplora',
+    providers: [
+      { name: 'blockstream', type: 'esplora', url: 'https://blockstream.info/api', priority: 10 },
+      { name: 'mempool', type: 'esplora', url: 'https://mempool.space/api', priority: 20 },
+      { name: 'blockcypher', type: 'blockcypher', url: 'https://api.blockcypher.com/v1/btc/main', apiKey: BLOCKCYPHER_API_KEY, priority: 30 }
+    ]
+  },
+  LTC: {
+    name: 'Litecoin',
+    network: 'litecoin',
+    uriScheme: 'litecoin',
+    coinType: 2,
+    // L… P2PKH, M… P2SH, ltc1q… P2WPKH, ltc1p… P2TR
+    params: {
+      messagePrefix: '\x19Litecoin Signed Message:\n',
+      bech32: 'ltc',
+      bip32: { public: 0x019da462, private: 0x019d9cfe },
+      pubKeyHash: 0x30,
+      scriptHash: 0x32,
+      wif: 0xb0
+    },
+    cashAddrPrefix: null,
+    addressTypes: SEGWIT_ADDRESS_TYPES,
+    extendedKeyVersions: [
+      { prefix: 'Ltub', version: 0x019da462, addressTypes: SEGWIT_ADDRESS_TYPES },
+      { prefix: 'Mtub', version: 0x01b26ef6, addressTypes: ['p2sh-p2wpkh'] },
+      { prefix: 'zpub', version: 0x04b24746, addressTypes: ['p2wpkh'] },
+      // Many wallets export Litecoin account keys with Bitcoin prefixes
+      { prefix: 'xpub', version: 0x0488b21e, addressTypes: SEGWIT_ADDRESS_TYPES }
+    ],
+    requiredConfirmations: 6,
+    blockTime: 150,
+    endpointType: 'blockbook',
+    providers: [
+      { name: 'litecoinspace', type: 'esplora', url: 'https://litecoinspace.org/api', priority: 10 },
+      { name: 'blockcypher', type: 'blockcypher', url: 'https://api.blockcypher.com/v1/ltc/main', apiKey: BLOCKCYPHER_API_KEY, priority: 20 }
+    ]
+  },
+  DOGE: {
+    name: 'Dogecoin',
+    network: 'dogecoin',
+    uriScheme: 'dogecoin',
+    coinType: 3,
+    // D… P2PKH, A…/9… P2SH; Dogecoin has no SegWit
+    params: {
+      messagePrefix: '\x19Dogecoin Signed Message:\n',
+      bech32: null,
+      bip32: { public: 0x02facafd, private: 0x02fac398 },
+      pubKeyHash: 0x1e,
+      scriptHash: 0x16,
+      wif: 0x9e
+    },
+    cashAddrPrefix: null,
+    addressTypes: ['p2pkh'],
+    extendedKeyVersions: [
+      { prefix: 'dgub', version: 0x02facafd, addressTypes: ['p2pkh'] },
+      // Trezor and Ledger export Dogecoin account keys with Bitcoin prefixes
+      { prefix: 'xpub', version: 0x0488b21e, addressTypes: ['p2pkh'] }
+    ],
+    requiredConfirmations: 12,
+    blockTime: 60,
+    endpointType: 'blockbook',
+    providers: [
+      { name: 'trezor', type: 'blockbook', url: 'https://doge1.trezor.io', priority: 10 },
+      { name: 'blockcypher', type: 'blockcypher', url: 'https://api.blockcypher.com/v1/doge/main', apiKey: BLOCKCYPHER_API_KEY, priority: 20 }
+    ]
+  },
+  BCH: {
+    name: 'Bitcoin Cash',
+    network: 'bitcoincash',
+    // CashAddr addresses already start with the scheme
+    uriScheme: 'bitcoincash',
+    coinType: 145,
+    // Bitcoin's base58 version bytes; addresses are shown as bitcoincash:q… CashAddr
+    params: {
+      messagePrefix: '\x18Bitcoin Signed Message:\n',
+      bech32: null,
+      bip32: { public: 0x0488b21e, private: 0x0488ade4 },
+      pubKeyHash: 0x00,
+      scriptHash: 0x05,
+      wif: 0x80
+    },
+    cashAddrPrefix: 'bitcoincash',
+    addressTypes: ['p2pkh'],
+    extendedKeyVersions: [
+      { prefix: 'xpub', version: 0x0488b21e, addressTypes: ['p2pkh'] }
+    ],
+    requiredConfirmations: 6,
+    blockTime: 600,
+    endpointType: 'blockbook',
+    providers: [
+      { name: 'trezor', type: 'blockbook', url: 'https://bch1.trezor.io', priority: 10 }
+    ]
+  }
+};
+
+/**
+ * Definition of a UTXO chain, or null for other chains
+ */
+const getUtxoChain = (chain) => UTXO_CHAINS[chain] || null;
+
+module.exports = {
+  UTXO_CHAINS,
+  getUtxoChain
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { Redis } = require('@upstash/redis');
+
+// Initialize Redis
+const redis = new Redis({
+  url: process.env.UPSTASH_REDIS_REST_URL,
+  token: process.env.UPSTASH_REDIS_REST_TOKEN,
+});
+
+const RESPONSE_TTL = 24 * 60 * 60; // replay responses for 24 hours
+const LOCK_TTL = 60; // a crashed request releases its key after a minute
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// JSON with sorted keys so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Middleware to make mutating merchant requests safe to retry with an Idempotency-Key header.
+// Must run after verifyApiKey so keys are scoped to the merchant.
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+
+  if (!idempotencyKey || !req.merchant || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (idempotencyKey.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const key = `idempotency:${req.merchant.id}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`;
+  const fingerprint = crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+
+  try {
+    const acquired = await redis.set(key, JSON.stringify({ state: 'in_progress', fingerprint }), {
+      nx: true,
+      ex: LOCK_TTL
+    });
+
+    if (!acquired) {
+      const record = await redis.get(key);
+
+      if (record && record.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+
+      if (!record || record.state === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+  } catch (error) {
+    // If Redis fails, continue without idempotency protection
+    console.warn('Idempotency check failed:', error.message);
+    return next();
+  }
+
+  // Capture the response so a retry gets exactly the same answer
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+
+    // Server errors are not stored so the client can retry them
+    const store = statusCode < 500
+      ? redis.set(key, JSON.stringify({ state: 'completed', fingerprint, statusCode, body }), { ex: RESPONSE_TTL })
+      : redis.del(key);
+
+    store.catch(error => console.warn('Idempotency store failed:', error.message));
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = { idempotency };
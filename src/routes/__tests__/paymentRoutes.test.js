@@ -0,0 +1,66 @@
+// config/environment exits without these; Supabase is the in-memory stand-in in __mocks__
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const express = require('express');
+const request = require('supertest');
+const supabase = require('@supabase/supabase-js');
+const paymentRoutes = require('../paymentRoutes');
+
+const MERCHANT_ID = '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01';
+
+// verifyApiKey stand-in
+const app = express();
+app.use((req, res, next) => {
+  req.merchant = { id: MERCHANT_ID };
+  next();
+});
+app.use('/api/payments', paymentRoutes);
+
+const paymentId = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+describe('GET /api/payments cursor pagination', () => {
+  beforeEach(() => {
+    supabase.__reset();
+
+    // Seven payments, five of them created in the same microsecond
+    const createdAt = ['2026-03-01T10:00:00.000003+00:00', '2026-03-01T10:00:00.000002+00:00', '2026-03-01T10:00:00.000001+00:00'];
+    supabase.__tables.payments = [1, 2, 3, 4, 5, 6, 7].map(n => ({
+      id: paymentId(n),
+      merchant_id: MERCHANT_ID,
+      created_at: n === 1 ? createdAt[0] : n === 7 ? createdAt[2] : createdAt[1],
+      status: 'pending'
+    }));
+    supabase.__tables.payments.push({ id: paymentId(8), merchant_id: '0b6f5c0a-9a5e-4a43-8d1e-6a1d3e2f4c01', created_at: createdAt[1] });
+  });
+
+  const listAll = async (limit) => {
+    const ids = [];
+    let cursor = null;
+
+    do {
+      const response = await request(app)
+        .get('/api/payments')
+        .query({ limit, ...(cursor && { cursor }) })
+        .expect(200);
+
+      expect(response.body.data.length).toBeLessThanOrEqual(limit);
+      ids.push(...response.body.data.map(payment => payment.id));
+      cursor = response.body.pagination.next_cursor;
+    } while (cursor);
+
+    return ids;
+  };
+
+  test.each([1, 2, 3, 7])('walks every payment once with equal created_at, %i per page', async (limit) => {
+    expect(await listAll(limit)).toEqual([1, 6, 5, 4, 3, 2, 7].map(paymentId));
+  });
+
+  test('rejects a cursor that was tampered with', async () => {
+    const cursor = Buffer.from(JSON.stringify({ created_at: '2026-03-01"),id.gt.(', id: paymentId(1) })).toString('base64url');
+
+    const response = await request(app).get('/api/payments').query({ cursor }).expect(400);
+    expect(response.body).toEqual({ success: false, error: 'Invalid cursor' });
+  });
+});
@@ -0,0 +1,321 @@
+const express = require('express');
+const Joi = require('joi');
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
+const { NETWORKS, getDefaultNetwork } = require('../config/tokens');
+const { verifyApiKey } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const priceService = require('../services/priceService');
+const paymentService = require('../services/paymentService');
+const solanaPayService = require('../services/solanaPayService');
+
+const router = express.Router();
+
+// Initialize Supabase client with service role key for admin operations
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+const currencies = ['BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC'];
+
+// Payments a payer can create in one session by switching currency; each may take a fresh
+// address of the merchant's key, which would otherwise grow without bound
+const maxSelections = 10;
+
+// Validation schemas
+const createSessionSchema = Joi.object({
+  fiat_amount: Joi.number().positive().precision(2).required(),
+  fiat_currency: Joi.string().uppercase().valid(...priceService.fiatCurrencies).required(),
+  accepted_currencies: Joi.array().items(Joi.string().valid(...currencies)).min(1).unique().default(currencies),
+  order_id: Joi.string().required(),
+  description: Joi.string().optional(),
+  expires_in: Joi.number().integer().min(60).max(86400).default(3600), // 1 hour default, max 24 hours
+  callback_url: Joi.string().uri().optional(),
+  metadata: Joi.object().optional()
+});
+
+const selectCurrencySchema = Joi.object({
+  currency: Joi.string().valid(...currencies).required(),
+  // Network to pay on, e.g. tron for USDT/USDC or arbitrum for ETH; defaults to ethereum
+  network: Joi.string().valid(...NETWORKS).optional()
+});
+
+const sessionIdSchema = Joi.string().guid().required();
+
+// Create a checkout session (merchant)
+router.post('/sessions', verifyApiKey, idempotency, async (req, res) => {
+  try {
+    const { error, value } = createSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { expires_in, ...session } = value;
+
+    const { data, error: dbError } = await supabase
+      .from('checkout_sessions')
+      .insert({
+        id: uuidv4(),
+        merchant_id: req.merchant.id,
+        ...session,
+        status: 'open',
+        expires_at: new Date(Date.now() + expires_in * 1000).toISOString(),
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (dbError) {
+      console.error('Database error:', dbError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create checkout session'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Checkout session creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get a checkout session with the payments created from it (merchant)
+router.get('/sessions/:id', verifyApiKey, async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, req.merchant.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checkout session not found'
+      });
+    }
+
+    const payments = await findSessionPayments(session.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get checkout session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the public view of a checkout session (payer)
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checkout session not found'
+      });
+    }
+
+    const payments = await findSessionPayments(session.id);
+    const payment = payments[payments.length - 1];
+
+    res.json({
+      success: true,
+      data: formatPublicSession(session, payment, payment && await solanaPayService.getPaymentLinks(payment))
+    });
+
+  } catch (error) {
+    console.error('Get checkout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Pick the currency to pay with; derives an address and locks a quote (payer)
+router.post('/:id/select', async (req, res) => {
+  try {
+    const { error, value } = selectCurrencySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { currency } = value;
+    const network = value.network || getDefaultNetwork(currency);
+
+    const session = await findSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checkout session not found'
+      });
+    }
+
+    if (session.status !== 'open' || new Date(session.expires_at) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: `Checkout session is not open (status: ${session.status})`
+      });
+    }
+
+    if (!session.accepted_currencies.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: `Currency ${currency} is not accepted for this checkout`
+      });
+    }
+
+    const payments = await findSessionPayments(session.id);
+
+    // Funds already arrived for one selection; the payer cannot switch anymore
+    const funded = payments.find(p => ['detected', 'confirming', 'underpaid', 'paid', 'overpaid', 'reorged'].includes(p.status));
+    if (funded) {
+      return res.status(409).json({
+        success: false,
+        error: `Checkout already funded in ${funded.currency}`
+      });
+    }
+
+    // Reuse the payer's earlier selection while its quote is still locked
+    let payment = payments.find(p =>
+      p.currency === currency && p.network === network &&
+      p.status === 'pending' && !priceService.isRateExpired(p)
+    );
+
+    if (!payment && payments.length >= maxSelections) {
+      return res.status(429).json({
+        success: false,
+        error: `Currency was changed too often for this checkout (at most ${maxSelections} selections)`
+      });
+    }
+
+    if (!payment) {
+      try {
+        payment = await paymentService.createPayment(session.merchant_id, {
+          fiat_amount: parseFloat(session.fiat_amount),
+          fiat_currency: session.fiat_currency,
+          currency,
+          network,
+          order_id: session.order_id,
+          description: session.description,
+          expires_at: session.expires_at,
+          callback_url: session.callback_url,
+          metadata: session.metadata,
+          checkout_session_id: session.id
+        });
+      } catch (createError) {
+        if (!createError.statusCode) throw createError;
+        return res.status(createError.statusCode).json({
+          success: false,
+          error: createError.message
+        });
+      }
+    }
+
+    // Only the current selection stays payable
+    await paymentService.cancelOtherSessionPayments(session.id, payment.id);
+
+    res.json({
+      success: true,
+      data: formatPublicSession(session, payment, await solanaPayService.getPaymentLinks(payment))
+    });
+
+  } catch (error) {
+    console.error('Checkout currency selection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Fetch a checkout session, optionally scoped to a merchant, or null if it does not exist
+async function findSession(id, merchantId = null) {
+  if (sessionIdSchema.validate(id).error) {
+    return null;
+  }
+
+  let query = supabase
+    .from('checkout_sessions')
+    .select('*')
+    .eq('id', id);
+
+  if (merchantId) {
+    query = query.eq('merchant_id', merchantId);
+  }
+
+  const { data, error } = await query.single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+// Payments created from a session, oldest selection first
+async function findSessionPayments(sessionId) {
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('checkout_session_id', sessionId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+// Only expose what the payer needs to complete the checkout
+function formatPublicSession(session, payment, solanaPay = null) {
+  return {
+    id: session.id,
+    status: session.status,
+    fiat_amount: session.fiat_amount,
+    fiat_currency: session.fiat_currency,
+    accepted_currencies: session.accepted_currencies,
+    description: session.description,
+    expires_at: session.expires_at,
+    payment: payment ? {
+      id: payment.id,
+      currency: payment.currency,
+      network: payment.network,
+      chain_id: payment.chain_id,
+      amount: payment.amount,
+      address: payment.address,
+      ...(payment.reference && { reference: payment.reference }),
+      ...(solanaPay && { solana_pay: solanaPay }),
+      status: payment.status,
+      exchange_rate: payment.exchange_rate,
+      rate_expires_at: payment.rate_expires_at
+    } : null
+  };
+}
+
+module.exports = router;
@@ -3,6 +3,10 @@ const { createClient } = require('@supabase/supabase-js');
 const { Redis } = require('@upstash/redis');
 const { SUPABASE_URL, SUPABASE_ANON_KEY, UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN } = require('../config/environment');
 const paymentMonitorService = require('../services/paymentMonitorService');
+const blockchainService = require('../services/blockchainService');
+const evmWatcherService = require('../services/evmWatcherService');
+const mempoolService = require('../services/mempoolService');
+const lightningService = require('../services/lightningService');
 const keepAliveService = require('../services/keepAliveService');
 const websocketService = require('../services/websocketService');
 
@@ -117,6 +121,18 @@ router.get('/detailed', async (req, res) => {
 
   detailedHealth.services.external_apis = await checkExternalApis();
 
+  // Failover state of the blockchain data providers
+  detailedHealth.services.blockchain_providers = blockchainService.getProviderHealth();
+
+  // Scan position of the EVM block watcher
+  detailedHealth.services.evm_watcher = evmWatcherService.getStatus();
+
+  // Unconfirmed transaction detection for UTXO chains
+  detailedHealth.services.mempool_watcher = mempoolService.getStatus();
+
+  // Lightning node issuing BTC invoices
+  detailedHealth.services.lightning = await lightningService.getStatus();
+
   res.json(detailedHealth);
 });
 
@@ -3,6 +3,8 @@ const Joi = require('joi');
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
 const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
+const priceService = require('../services/priceService');
+const walletService = require('../services/walletService');
 
 const router = express.Router();
 
@@ -97,12 +99,13 @@ router.post('/', async (req, res) => {
 
 // Get merchant info (with API key)
 const { verifyApiKey } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 router.get('/me', verifyApiKey, async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('merchants')
-      .select('id, email, name, description, created_at')
+      .select('id, email, name, description, tolerance_percent, tolerance_amounts, underpayment_window, unique_order_ids, address_types, quorum_threshold, quorum_fiat_currency, quorum_providers, zero_conf_threshold, zero_conf_fiat_currency, zero_conf_reject_rbf, deposit_addresses, created_at')
       .eq('id', req.merchant.id)
       .single();
 
@@ -135,11 +138,41 @@ router.get('/me', verifyApiKey, async (req, res) => {
 });
 
 // Update merchant info (with API key)
-router.patch('/me', verifyApiKey, async (req, res) => {
+router.patch('/me', verifyApiKey, idempotency, async (req, res) => {
   try {
     const updateSchema = Joi.object({
       name: Joi.string().max(100).optional(),
-      description: Joi.string().max(500).optional()
+      description: Joi.string().max(500).optional(),
+      // Payment tolerance: a percentage of the amount, or absolute amounts per currency
+      tolerance_percent: Joi.number().min(0).max(10).optional(),
+      tolerance_amounts: Joi.object().pattern(
+        Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC'),
+        Joi.number().min(0)
+      ).optional(),
+      underpayment_window: Joi.number().integer().min(0).max(604800).optional(), // seconds, max 7 days
+      // Reject new payments whose order_id matches a live (not expired/cancelled/failed) payment
+      unique_order_ids: Joi.boolean().optional(),
+      // Default receive address type for BTC and LTC payments
+      address_types: Joi.object({
+        BTC: Joi.string().valid('p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'),
+        LTC: Joi.string().valid('p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr')
+      }).optional(),
+      // Payments worth more than quorum_threshold (null turns it off) only settle once
+      // quorum_providers independent blockchain providers agree on them
+      quorum_threshold: Joi.number().min(0).allow(null).optional(),
+      quorum_fiat_currency: Joi.string().uppercase().valid(...priceService.fiatCurrencies).optional(),
+      quorum_providers: Joi.number().integer().min(2).max(5).optional(),
+      // Payments worth less than zero_conf_threshold (null turns it off) settle as soon as
+      // their transaction is seen in the mempool
+      zero_conf_threshold: Joi.number().min(0).allow(null).optional(),
+      zero_conf_fiat_currency: Joi.string().uppercase().valid(...priceService.fiatCurrencies).optional(),
+      // Wait for one confirmation instead when a BTC/LTC transaction signals RBF (BIP125)
+      zero_conf_reject_rbf: Joi.boolean().optional(),
+      // Single receive address per network; payments to it are told apart by a reference
+      // instead of getting an address of their own (null turns it off)
+      deposit_addresses: Joi.object({
+        solana: Joi.string().max(64).allow(null)
+      }).optional()
     });
 
     const { error, value } = updateSchema.validate(req.body);
@@ -150,16 +183,54 @@ router.patch('/me', verifyApiKey, async (req, res) => {
       });
     }
 
-    const { name, description } = value;
+    const {
+      name,
+      description,
+      tolerance_percent,
+      tolerance_amounts,
+      underpayment_window,
+      unique_order_ids,
+      address_types,
+      quorum_threshold,
+      quorum_fiat_currency,
+      quorum_providers,
+      zero_conf_threshold,
+      zero_conf_fiat_currency,
+      zero_conf_reject_rbf,
+      deposit_addresses
+    } = value;
+
+    if (deposit_addresses?.solana) {
+      try {
+        walletService.parseSolanaAddressPool([deposit_addresses.solana]);
+      } catch (addressError) {
+        return res.status(400).json({
+          success: false,
+          error: addressError.message
+        });
+      }
+    }
 
     const { data, error: updateError } = await supabase
       .from('merchants')
       .update({
         name: name || undefined,
-        description: description || undefined
+        description: description || undefined,
+        tolerance_percent,
+        tolerance_amounts,
+        underpayment_window,
+        unique_order_ids,
+        address_types,
+        quorum_threshold,
+        quorum_fiat_currency,
+        quorum_providers,
+        zero_conf_threshold,
+        zero_conf_fiat_currency,
+        zero_conf_reject_rbf,
+        deposit_addresses
       })
       .eq('id', req.merchant.id)
-      .select('id, email, name, description, updated_at')
+      .select('id, email, name, description, tolerance_percent, tolerance_amounts, underpayment_window, unique_order_ids, address_types, quorum_threshold, quorum_fiat_currency, quorum_providers, zero_conf_threshold, zero_conf_fiat_currency, zero_conf_reject_rbf, deposit_addresses, updated_at')
       .single();
 
     if (updateError) {
@@ -184,7 +255,8 @@ router.patch('/me', verifyApiKey, async (req, res) => {
   }
 });
 
-// Regenerate API key (with current API key)
+// Regenerate API key (with current API key). Not idempotent: a stored response would keep
+// the new key in Redis, and a retry with the old key fails authentication anyway
 router.post('/me/regenerate-key', verifyApiKey, async (req, res) => {
   try {
     // Get current merchant
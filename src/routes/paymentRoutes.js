@@ -1,11 +1,15 @@
 const express = require('express');
 const Joi = require('joi');
 const { createClient } = require('@supabase/supabase-js');
-const { v4: uuidv4 } = require('uuid');
 const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
-const walletService = require('../services/walletService');
+const { NETWORKS } = require('../config/tokens');
 const walletConnectionService = require('../services/walletConnectionService');
 const blockchainService = require('../services/blockchainService');
+const priceService = require('../services/priceService');
+const paymentService = require('../services/paymentService');
+const solanaPayService = require('../services/solanaPayService');
+const paymentUriService = require('../services/paymentUriService');
+const lightningService = require('../services/lightningService');
 
 const router = express.Router();
 
@@ -14,20 +18,65 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 // Validation schemas
 const createPaymentSchema = Joi.object({
-  amount: Joi.number().positive().required(),
-  currency: Joi.string().valid('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC').required(),
+  amount: Joi.number().positive(),
+  fiat_amount: Joi.number().positive().precision(2),
+  fiat_currency: Joi.string().uppercase().valid(...priceService.fiatCurrencies).when('fiat_amount', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  currency: Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC').required(),
+  // Network, e.g. tron or bsc for USDT/USDC or base for ETH; defaults to ethereum
+  network: Joi.string().valid(...NETWORKS).optional(),
+  // BTC can be paid to a Lightning invoice instead of an on-chain address
+  method: Joi.string().valid('onchain', 'lightning').default('onchain').when('currency', {
+    not: 'BTC',
+    then: Joi.invalid('lightning')
+  }),
   order_id: Joi.string().required(),
   description: Joi.string().optional(),
   expires_in: Joi.number().integer().min(60).max(86400).default(3600), // 1 hour default, max 24 hours
   callback_url: Joi.string().uri().optional(),
-  metadata: Joi.object().optional()
-});
+  metadata: Joi.object().optional(),
+  // Overrides the merchant's tolerance; amount is in the payment currency
+  tolerance: Joi.object({
+    percent: Joi.number().min(0).max(10),
+    amount: Joi.number().min(0)
+  }).xor('percent', 'amount').optional(),
+  underpayment_window: Joi.number().integer().min(0).max(604800).optional(), // seconds, max 7 days
+  // BTC/LTC receive address type; defaults to the merchant's choice
+  address_type: Joi.string().valid('p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr').when('currency', {
+    is: Joi.valid('BTC', 'LTC'),
+    otherwise: Joi.forbidden()
+  }).when('method', {
+    is: 'lightning',
+    then: Joi.forbidden()
+  }),
+  // Pay to the merchant's Solana deposit address with a reference instead of a fresh address;
+  // defaults to whether the merchant has set one
+  use_deposit_address: Joi.boolean().optional()
+}).xor('amount', 'fiat_amount');
 
 const getPaymentsSchema = Joi.object({
-  page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-  status: Joi.string().valid('pending', 'paid', 'expired', 'cancelled').optional(),
-  currency: Joi.string().valid('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC').optional()
+  cursor: Joi.string().optional(),
+  status: Joi.string().valid('pending', 'detected', 'confirming', 'paid', 'underpaid', 'overpaid', 'reorged', 'double_spent', 'expired', 'cancelled', 'failed').optional(),
+  currency: Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC').optional(),
+  network: Joi.string().valid(...NETWORKS).optional(),
+  order_id: Joi.string().optional(),
+  created_from: Joi.date().iso().optional(),
+  created_to: Joi.date().iso().optional(),
+  metadata: Joi.object().pattern(Joi.string(), Joi.string()).optional()
+});
+
+const paymentIdSchema = Joi.string().guid().required();
+
+// Unpaid payments, and ones whose funds were reorged out or double-spent
+const cancellableStatuses = ['pending', 'reorged', 'double_spent'];
+
+const qrCodeSchema = Joi.object({
+  format: Joi.string().valid(...paymentUriService.qrFormats).default('png'),
+  size: Joi.number().integer().min(64).max(1024).default(paymentUriService.defaultQrSize) // px
 });
 
 // Create a new payment request
@@ -41,60 +90,53 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { amount, currency, order_id, description, expires_in, callback_url, metadata } = value;
-
-    // For now, skip merchant verification until database issues are resolved
-    // TODO: Add proper merchant verification once database is stable
-    console.log('Skipping merchant verification for payment creation');
-
-    // Generate unique payment ID
-    const paymentId = uuidv4();
-
-    // Calculate expiration time
-    const expiresAt = new Date(Date.now() + expires_in * 1000);
-
-    // For now, use generated addresses until wallet integration is fully deployed
-    // TODO: Add wallet address support once database schema is updated
-    const address = await generateAddress(currency);
-
-    // Create payment record in database
-    const { data, error: dbError } = await supabase
-      .from('payments')
-      .insert({
-        id: paymentId,
-        merchant_id: req.merchant.id,
-        amount,
-        currency,
-        order_id,
-        description,
-        address,
-        status: 'pending',
-        expires_at: expiresAt.toISOString(),
-        callback_url,
-        metadata,
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { expires_in, ...params } = value;
 
-    if (dbError) {
-      console.error('Database error:', dbError);
-      return res.status(500).json({
+    let data;
+    try {
+      data = await paymentService.createPayment(req.merchant.id, {
+        ...params,
+        expires_at: new Date(Date.now() + expires_in * 1000).toISOString()
+      });
+    } catch (createError) {
+      if (!createError.statusCode) throw createError;
+      return res.status(createError.statusCode).json({
         success: false,
-        error: 'Failed to create payment'
+        error: createError.message
       });
     }
 
+    const solanaPay = await solanaPayService.getPaymentLinks(data);
+    const paymentUri = await paymentUriService.getPaymentUri(data);
+
     res.status(201).json({
       success: true,
       data: {
         id: data.id,
         amount: data.amount,
         currency: data.currency,
+        network: data.network,
+        chain_id: data.chain_id,
+        method: data.method,
         address: data.address,
+        address_type: data.address_type,
+        derivation_path: data.derivation_path,
+        payment_uri: paymentUri,
+        ...(data.reference && { reference: data.reference }),
+        ...(solanaPay && { solana_pay: solanaPay }),
+        ...(data.payment_request && {
+          payment_request: data.payment_request,
+          payment_hash: data.payment_hash
+        }),
         expires_at: data.expires_at,
         status: data.status,
-        order_id: data.order_id
+        order_id: data.order_id,
+        ...(data.fiat_amount && {
+          fiat_amount: data.fiat_amount,
+          fiat_currency: data.fiat_currency,
+          exchange_rate: data.exchange_rate,
+          rate_expires_at: data.rate_expires_at
+        })
       }
     });
 
@@ -107,7 +149,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get payments for merchant
+// Get payments for merchant (keyset pagination on created_at, id)
 router.get('/', async (req, res) => {
   try {
     const { error, value } = getPaymentsSchema.validate(req.query);
@@ -118,21 +160,64 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const { page, limit, status, currency } = value;
-    const offset = (page - 1) * limit;
+    const { limit, cursor, status, currency, network, order_id, created_from, created_to, metadata } = value;
+
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+    }
+
+    let query = supabase
+      .from('payments')
+      .select('*')
+      .eq('merchant_id', req.merchant.id);
+
+    if (status) query = query.eq('status', status);
+    if (currency) query = query.eq('currency', currency);
+    if (network) query = query.eq('network', network);
+    if (order_id) query = query.eq('order_id', order_id);
+    if (created_from) query = query.gte('created_at', created_from.toISOString());
+    if (created_to) query = query.lt('created_at', created_to.toISOString());
+    if (metadata && Object.keys(metadata).length > 0) query = query.contains('metadata', metadata);
+
+    // Rows strictly after the cursor in (created_at DESC, id DESC) order
+    if (position) {
+      query = query.or(
+        `created_at.lt."${position.created_at}",and(created_at.eq."${position.created_at}",id.lt.${position.id})`
+      );
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const { data: payments, error: dbError } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (dbError) {
+      console.error('Database error:', dbError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch payments'
+      });
+    }
 
-    // For now, return empty array until database issues are resolved
-    // TODO: Add proper payment fetching once database is stable
-    console.log('Skipping payment fetch for merchant:', req.merchant.id);
+    const hasMore = payments.length > limit;
+    const page = hasMore ? payments.slice(0, limit) : payments;
+    const last = page[page.length - 1];
 
     res.json({
       success: true,
-      data: [],
+      data: page,
       pagination: {
-        page,
         limit,
-        total: 0,
-        pages: 0
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(last) : null
       }
     });
 
@@ -148,24 +233,31 @@ router.get('/', async (req, res) => {
 // Get specific payment
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
+    const payment = await findMerchantPayment(req.params.id, req.merchant.id);
 
-    // For now, return mock payment data until database issues are resolved
-    // TODO: Add proper payment fetching once database is stable
-    console.log('Returning mock payment data for:', id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const { data: transactions, error: txError } = await supabase
+      .from('payment_transactions')
+      .select('tx_hash, amount, block_height, block_hash, block_time, detected_at')
+      .eq('payment_id', payment.id)
+      .order('detected_at', { ascending: true });
+
+    if (txError) {
+      console.error('Database error:', txError);
+    }
 
     res.json({
       success: true,
       data: {
-        id,
-        merchant_id: req.merchant.id,
-        amount: 0.001,
-        currency: 'BTC',
-        order_id: 'mock-order',
-        address: '1MockAddress123456789',
-        status: 'pending',
-        created_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + 3600000).toISOString()
+        ...payment,
+        payment_uri: await paymentUriService.getPaymentUri(payment),
+        transactions: transactions || []
       }
     });
 
@@ -178,10 +270,66 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Render the payment URI (the address where a network has none) as a PNG or SVG QR code
+router.get('/:id/qr', async (req, res) => {
+  try {
+    const { error, value } = qrCodeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const payment = await findMerchantPayment(req.params.id, req.merchant.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const qrCode = await paymentUriService.renderQrCode(payment, value.format, value.size);
+
+    // A re-quote changes the amount in the URI
+    res.set('Cache-Control', 'private, max-age=60');
+    res.type(qrCode.contentType).send(qrCode.body);
+
+  } catch (error) {
+    console.error('Payment QR code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Cancel payment
 router.patch('/:id/cancel', async (req, res) => {
   try {
     const { id } = req.params;
+    const payment = await findMerchantPayment(id, req.merchant.id);
+
+    if (!payment || !cancellableStatuses.includes(payment.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found or cannot be cancelled'
+      });
+    }
+
+    // An open invoice can still be paid, so the node has to refuse it first
+    if (payment.method === 'lightning') {
+      try {
+        await lightningService.cancelInvoice(payment);
+      } catch (cancelError) {
+        console.error(`Failed to cancel Lightning invoice of payment ${id}:`, cancelError.message);
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to cancel the Lightning invoice, it may already be paid'
+        });
+      }
+    }
 
     const { data, error } = await supabase
       .from('payments')
@@ -191,7 +339,7 @@ router.patch('/:id/cancel', async (req, res) => {
       })
       .eq('id', id)
       .eq('merchant_id', req.merchant.id)
-      .eq('status', 'pending')
+      .in('status', cancellableStatuses)
       .select()
       .single();
 
@@ -223,81 +371,215 @@ router.patch('/:id/cancel', async (req, res) => {
   }
 });
 
-// Generate address using HD wallet service
-async function generateAddress(currency) {
+// Re-quote a fiat-denominated payment whose rate lock has expired
+router.post('/:id/requote', async (req, res) => {
   try {
-    // Check if wallet service dependencies are available
-    if (!walletService || typeof walletService.generateMasterKey !== 'function') {
-      console.warn('Wallet service not available, using fallback address generation');
-      return generateFallbackAddress(currency);
+    const payment = await findMerchantPayment(req.params.id, req.merchant.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
     }
 
-    // For now, use a simple master key for testing
-    // In production, this should be stored securely per merchant
-    const testMnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+    if (!payment.fiat_amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment is not fiat-denominated'
+      });
+    }
 
-    // Validate mnemonic before using it
-    if (typeof walletService.generateMasterKey !== 'function') {
-      throw new Error('Wallet service generateMasterKey method not available');
+    // The BOLT11 invoice encodes the old amount and cannot be changed
+    if (payment.method === 'lightning') {
+      return res.status(400).json({
+        success: false,
+        error: 'Lightning payments cannot be re-quoted, create a new payment instead'
+      });
     }
 
-    const masterKey = walletService.generateMasterKey(testMnemonic);
-    const addressData = walletService.deriveAddress(currency, masterKey.masterKey, 0);
+    if (payment.status !== 'pending' || new Date(payment.expires_at) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: `Payment cannot be re-quoted (status: ${payment.status})`
+      });
+    }
 
-    return addressData.address;
-  } catch (error) {
-    console.error('Address generation error:', error);
+    // Once funds have arrived the amount is settled against the original quote
+    if (parseFloat(payment.actual_amount) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Payment has already received funds'
+      });
+    }
 
-    // Fallback to simple address generation
-    console.warn('Using fallback address generation for', currency);
-    return generateFallbackAddress(currency);
+    if (!priceService.isRateExpired(payment)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Rate lock has not expired',
+        rate_expires_at: payment.rate_expires_at
+      });
+    }
+
+    let quote;
+    try {
+      quote = await priceService.quote(payment.currency, parseFloat(payment.fiat_amount), payment.fiat_currency);
+    } catch (quoteError) {
+      console.error('Exchange rate quote error:', quoteError.message);
+      return res.status(503).json({
+        success: false,
+        error: 'Exchange rate unavailable, please retry'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('payments')
+      .update({
+        amount: quote.amount,
+        exchange_rate: quote.exchange_rate,
+        rate_expires_at: quote.rate_expires_at,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payment.id)
+      .eq('merchant_id', req.merchant.id)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(409).json({
+          success: false,
+          error: 'Payment is no longer pending'
+        });
+      }
+      console.error('Database error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to re-quote payment'
+      });
+    }
+
+    await priceService.recordQuote(data.id, quote);
+
+    // Solana Pay URLs carry the amount, so they change with the quote
+    const solanaPay = await solanaPayService.getPaymentLinks(data);
+    const paymentUri = await paymentUriService.getPaymentUri(data);
+
+    res.json({
+      success: true,
+      data: {
+        id: data.id,
+        amount: data.amount,
+        currency: data.currency,
+        network: data.network,
+        address: data.address,
+        payment_uri: paymentUri,
+        ...(solanaPay && { solana_pay: solanaPay }),
+        fiat_amount: data.fiat_amount,
+        fiat_currency: data.fiat_currency,
+        exchange_rate: data.exchange_rate,
+        rate_expires_at: data.rate_expires_at,
+        expires_at: data.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Payment re-quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-}
+});
+
+// Get the rate history of a fiat-denominated payment
+router.get('/:id/quotes', async (req, res) => {
+  try {
+    const payment = await findMerchantPayment(req.params.id, req.merchant.id);
 
-// Fallback address generation for when wallet dependencies fail
-function generateFallbackAddress(currency) {
-  const timestamp = Date.now().toString();
-  const random = Math.random().toString(36).substring(2);
-
-  switch (currency) {
-    case 'BTC':
-      return `1Fallback${timestamp.substring(-8)}${random.substring(0, 8)}`;
-    case 'LTC':
-      return `LFallback${timestamp.substring(-8)}${random.substring(0, 8)}`;
-    case 'ETH':
-    case 'BNB':
-    case 'USDT':
-    case 'USDC':
-      return `0x${random}${timestamp.substring(-8)}`;
-    case 'SOL':
-      return `${random}${timestamp.substring(-8)}`;
-    default:
-      return `${currency.toLowerCase()}_${timestamp}_${random}`;
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('payment_rate_quotes')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .order('quoted_at', { ascending: true });
+
+    if (error) {
+      console.error('Database error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch rate history'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get rate history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
-}
+});
 
 // Check payment status
 router.get('/:id/status', async (req, res) => {
   try {
-    const { id } = req.params;
+    const payment = await findMerchantPayment(req.params.id, req.merchant.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
 
-    // For now, return mock status data until database issues are resolved
-    // TODO: Add proper payment status checking once database is stable
-    console.log('Returning mock payment status for:', id);
+    const received = parseFloat(payment.actual_amount) || 0;
+    const solanaPay = await solanaPayService.getPaymentLinks(payment);
 
     res.json({
       success: true,
       data: {
-        id,
-        status: 'pending',
-        address: '1MockAddress123456789',
-        amount: 0.001,
-        currency: 'BTC',
-        balance: 0,
-        confirmations: 0,
-        tx_hash: null,
-        expected_amount: 0.001,
-        last_checked: new Date().toISOString()
+        id: payment.id,
+        status: payment.status,
+        method: payment.method,
+        address: payment.address,
+        ...(payment.reference && { reference: payment.reference }),
+        ...(solanaPay && { solana_pay: solanaPay }),
+        ...(payment.payment_request && { payment_request: payment.payment_request }),
+        amount: payment.amount,
+        currency: payment.currency,
+        network: payment.network,
+        chain_id: payment.chain_id,
+        balance: received,
+        outstanding_amount: ['pending', 'underpaid'].includes(payment.status)
+          ? Math.max(parseFloat(payment.amount) - received, 0)
+          : 0,
+        topup_expires_at: payment.topup_expires_at,
+        confirmations: payment.confirmations || 0,
+        required_confirmations: payment.zero_conf || payment.method === 'lightning' ? 0 : blockchainService.getRequiredConfirmations(
+          blockchainService.getChain(payment.currency, payment.network)
+        ),
+        tx_hash: payment.tx_hash || null,
+        expected_amount: payment.amount,
+        fiat_amount: payment.fiat_amount,
+        fiat_currency: payment.fiat_currency,
+        exchange_rate: payment.exchange_rate,
+        rate_expires_at: payment.rate_expires_at,
+        expires_at: payment.expires_at,
+        paid_at: payment.paid_at,
+        last_checked: payment.updated_at
       }
     });
 
@@ -310,4 +592,54 @@ router.get('/:id/status', async (req, res) => {
   }
 });
 
+// Fetch a payment owned by the merchant, or null if it does not exist
+async function findMerchantPayment(id, merchantId) {
+  if (paymentIdSchema.validate(id).error) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', id)
+    .eq('merchant_id', merchantId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+// Opaque pagination cursor: base64url of the last row's sort key
+function encodeCursor(payment) {
+  return Buffer.from(JSON.stringify({
+    created_at: payment.created_at,
+    id: payment.id
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!/^[0-9T:.+\- Z]+$/.test(position.created_at) || isNaN(Date.parse(position.created_at)) ||
+        paymentIdSchema.validate(position.id).error) {
+      return null;
+    }
+
+    // Keep the timestamp verbatim so microsecond precision survives the round trip
+    return {
+      created_at: position.created_at,
+      id: position.id
+    };
+  } catch {
+    return null;
+  }
+}
+
 module.exports = router;
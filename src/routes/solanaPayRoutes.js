@@ -0,0 +1,120 @@
+const express = require('express');
+const Joi = require('joi');
+const { createClient } = require('@supabase/supabase-js');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, PUBLIC_URL } = require('../config/environment');
+const solanaPayService = require('../services/solanaPayService');
+const walletService = require('../services/walletService');
+
+const router = express.Router();
+
+// Initialize Supabase client with service role key for admin operations
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+const paymentIdSchema = Joi.string().guid().required();
+
+const transactionRequestSchema = Joi.object({
+  account: Joi.string().max(64).required()
+});
+
+// Solana Pay transaction request, first step (wallet): what to show before the payer approves
+router.get('/:id', async (req, res) => {
+  try {
+    const payment = await findPayablePayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found or no longer payable'
+      });
+    }
+
+    res.json({
+      label: await solanaPayService.getLabel(payment.merchant_id) || 'Crypto Payment',
+      icon: `${PUBLIC_URL}/solana-pay-icon.svg`
+    });
+
+  } catch (error) {
+    console.error('Solana Pay label error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Solana Pay transaction request, second step (wallet): the transfer for the payer's account to sign
+router.post('/:id', async (req, res) => {
+  try {
+    const { error, value } = transactionRequestSchema.validate(req.body);
+    if (error || !walletService.validateSolanaAddress(value.account)) {
+      return res.status(400).json({
+        success: false,
+        error: error ? error.details[0].message : 'account must be a Solana address'
+      });
+    }
+
+    const payment = await findPayablePayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found or no longer payable'
+      });
+    }
+
+    let transaction;
+    try {
+      transaction = await solanaPayService.buildTransaction(payment, value.account);
+    } catch (buildError) {
+      console.error('Solana Pay transaction error:', buildError.message);
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to build transaction, please retry'
+      });
+    }
+
+    res.json({
+      transaction,
+      message: solanaPayService.getMessage(payment)
+    });
+
+  } catch (error) {
+    console.error('Solana Pay transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Fetch a Solana Pay payment still waiting for funds, or null
+async function findPayablePayment(id) {
+  if (paymentIdSchema.validate(id).error) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!solanaPayService.supports(data)) {
+    return null;
+  }
+
+  const now = new Date();
+  const open = (data.status === 'pending' && new Date(data.expires_at) > now) ||
+    (data.status === 'underpaid' && data.topup_expires_at && new Date(data.topup_expires_at) > now);
+
+  return open ? data : null;
+}
+
+module.exports = router;
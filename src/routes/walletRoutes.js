@@ -3,7 +3,10 @@ const Joi = require('joi');
 const { createClient } = require('@supabase/supabase-js');
 const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
 const walletConnectionService = require('../services/walletConnectionService');
+const walletService = require('../services/walletService');
+const paymentService = require('../services/paymentService');
 const { verifyApiKey } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 const router = express.Router();
 
@@ -12,7 +15,7 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
 // Validation schemas
 const walletAddressSchema = Joi.object({
-  currency: Joi.string().valid('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC').required(),
+  currency: Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC').required(),
   address: Joi.string().required(),
   signature: Joi.string().optional(),
   message: Joi.string().optional()
@@ -21,11 +24,32 @@ const walletAddressSchema = Joi.object({
 const walletConnectionSchema = Joi.object({
   walletType: Joi.string().valid('trust_wallet', 'metamask', 'phantom', 'other').required(),
   addresses: Joi.object().pattern(
-    Joi.string().valid('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC'),
+    Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC'),
     Joi.string()
   ).optional()
 });
 
+const addressTypes = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+const walletKeySchema = Joi.object({
+  extended_public_key: Joi.string().max(200).required(),
+  // Account-level path the key was exported at, e.g. m/84'/0'/0'
+  derivation_path: Joi.string().pattern(/^m(\/\d+'){3}$/).optional(),
+  // UTXO chains only; defaults to the type implied by the path or the key prefix
+  address_type: Joi.string().valid(...addressTypes).optional()
+});
+
+const addressTypeQuerySchema = Joi.object({
+  address_type: Joi.string().valid(...addressTypes, 'evm', 'tron', 'ed25519').optional()
+});
+
+// Solana account addresses in account order (m/44'/501'/0'/0', m/44'/501'/1'/0', …)
+const solanaKeySchema = Joi.object({
+  addresses: Joi.array().items(Joi.string().max(64)).min(1).max(1000).required()
+});
+
+const keyChainSchema = Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'EVM', 'TRON', 'SOL').required();
+
 // Generate wallet connection challenge
 router.post('/:merchantId/challenge', async (req, res) => {
   try {
@@ -62,7 +86,7 @@ router.post('/:merchantId/challenge', async (req, res) => {
 });
 
 // Verify wallet connection and store addresses
-router.post('/:merchantId/connect', verifyApiKey, async (req, res) => {
+router.post('/:merchantId/connect', verifyApiKey, idempotency, async (req, res) => {
   try {
     const { merchantId } = req.params;
 
@@ -186,7 +210,7 @@ router.get('/:merchantId/wallet', verifyApiKey, async (req, res) => {
 });
 
 // Update wallet addresses
-router.patch('/:merchantId/wallet', verifyApiKey, async (req, res) => {
+router.patch('/:merchantId/wallet', verifyApiKey, idempotency, async (req, res) => {
   try {
     const { merchantId } = req.params;
 
@@ -200,7 +224,7 @@ router.patch('/:merchantId/wallet', verifyApiKey, async (req, res) => {
 
     const { error, value } = Joi.object({
       addresses: Joi.object().pattern(
-        Joi.string().valid('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC'),
+        Joi.string().valid('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC'),
         Joi.string()
       ).required()
     }).validate(req.body);
@@ -273,7 +297,7 @@ router.patch('/:merchantId/wallet', verifyApiKey, async (req, res) => {
 });
 
 // Disconnect wallet
-router.delete('/:merchantId/wallet', verifyApiKey, async (req, res) => {
+router.delete('/:merchantId/wallet', verifyApiKey, idempotency, async (req, res) => {
   try {
     const { merchantId } = req.params;
 
@@ -321,6 +345,332 @@ router.delete('/:merchantId/wallet', verifyApiKey, async (req, res) => {
   }
 });
 
+// List the extended public keys receive addresses are derived from
+router.get('/:merchantId/keys', verifyApiKey, async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+
+    // Verify merchant owns the API key
+    if (req.merchant.id !== merchantId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: API key does not match merchant'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('merchant_wallet_keys')
+      .select('id, chain, extended_public_key, public_keys, script_type, derivation_path, account, next_index, created_at, updated_at')
+      .eq('merchant_id', merchantId)
+      .order('chain');
+
+    if (error) {
+      console.error('Wallet keys fetch error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch wallet keys'
+      });
+    }
+
+    // Report how close each key is to the gap limit wallets use for discovery
+    const keys = await Promise.all(data.map(async ({ id, ...key }) => {
+      const { data: gap, error: gapError } = await supabase.rpc('address_gap', { p_wallet_key_id: id });
+      if (gapError) {
+        console.error('Address gap lookup error:', gapError);
+      }
+      return {
+        ...key,
+        unused_gap: gapError ? null : gap,
+        gap_limit: walletService.gapLimit
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: keys
+    });
+
+  } catch (error) {
+    console.error('Wallet keys fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Register or replace the watch-only extended public key for a chain (BTC, LTC, DOGE, BCH, EVM or TRON)
+// and address type; a merchant can hold e.g. both a BIP84 and a BIP86 key for BTC.
+// SOL takes the wallet's account addresses instead of a key.
+router.put('/:merchantId/keys/:chain', verifyApiKey, idempotency, async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+
+    // Verify merchant owns the API key
+    if (req.merchant.id !== merchantId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: API key does not match merchant'
+      });
+    }
+
+    const { error: chainError, value: chain } = keyChainSchema.validate(req.params.chain);
+    if (chainError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Chain must be one of BTC, LTC, DOGE, BCH, EVM, TRON or SOL'
+      });
+    }
+
+    let keyRow;
+    if (chain === 'SOL') {
+      const { error, value } = solanaKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      try {
+        walletService.parseSolanaAddressPool(value.addresses);
+      } catch (poolError) {
+        return res.status(400).json({
+          success: false,
+          error: poolError.message
+        });
+      }
+
+      keyRow = {
+        script_type: 'ed25519',
+        public_keys: value.addresses,
+        derivation_path: "m/44'/501'",
+        account: 0
+      };
+    } else {
+      const { error, value } = walletKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      if (['EVM', 'TRON'].includes(chain) && value.address_type) {
+        return res.status(400).json({
+          success: false,
+          error: 'address_type only applies to UTXO chain keys'
+        });
+      }
+
+      const pathAddressType = value.derivation_path &&
+        walletService.getAddressTypeForPath(chain, value.derivation_path);
+
+      if (value.address_type && pathAddressType && value.address_type !== pathAddressType) {
+        return res.status(400).json({
+          success: false,
+          error: `Derivation path ${value.derivation_path} is for ${pathAddressType} addresses, not ${value.address_type}`
+        });
+      }
+
+      let parsedKey;
+      try {
+        parsedKey = walletService.parseExtendedPublicKey(
+          chain,
+          value.extended_public_key,
+          value.address_type || pathAddressType || null
+        );
+      } catch (keyError) {
+        return res.status(400).json({
+          success: false,
+          error: keyError.message
+        });
+      }
+
+      // The key records its own account index; a mismatching path would mislabel every address
+      if (value.derivation_path && !value.derivation_path.endsWith(`/${parsedKey.account}'`)) {
+        return res.status(400).json({
+          success: false,
+          error: `Derivation path does not match the key's account ${parsedKey.account}`
+        });
+      }
+
+      const derivationPath = value.derivation_path ||
+        walletService.getAccountPath(chain, parsedKey.purpose, parsedKey.account);
+
+      keyRow = {
+        extended_public_key: value.extended_public_key,
+        script_type: parsedKey.scriptType,
+        derivation_path: derivationPath,
+        account: parsedKey.account
+      };
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('merchant_wallet_keys')
+      .select('id, extended_public_key, public_keys')
+      .eq('merchant_id', merchantId)
+      .eq('chain', chain)
+      .eq('script_type', keyRow.script_type)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      console.error('Wallet key fetch error:', fetchError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save wallet key'
+      });
+    }
+
+    // Same key again, or a Solana pool extended with more accounts: keep the index
+    // counter so no address is handed out twice
+    const sameKey = existing && (chain === 'SOL'
+      ? existing.public_keys.every((address, i) => keyRow.public_keys[i] === address)
+      : existing.extended_public_key === keyRow.extended_public_key);
+
+    let saveQuery;
+    if (sameKey) {
+      saveQuery = supabase
+        .from('merchant_wallet_keys')
+        .update(chain === 'SOL'
+          ? { public_keys: keyRow.public_keys }
+          : { derivation_path: keyRow.derivation_path })
+        .eq('id', existing.id);
+    } else {
+      // A new key gets its own index sequence; old payments keep their addresses.
+      // A key registered before resumes after the addresses it already issued.
+      const nextIndex = await paymentService.getIssuedIndexEnd(merchantId, { chain, ...keyRow });
+
+      if (existing) {
+        const { error: deleteError } = await supabase
+          .from('merchant_wallet_keys')
+          .delete()
+          .eq('id', existing.id);
+
+        if (deleteError) {
+          console.error('Wallet key replace error:', deleteError);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to save wallet key'
+          });
+        }
+      }
+
+      saveQuery = supabase
+        .from('merchant_wallet_keys')
+        .insert({
+          merchant_id: merchantId,
+          chain,
+          ...keyRow,
+          next_index: nextIndex
+        });
+    }
+
+    const { data, error: saveError } = await saveQuery
+      .select('chain, extended_public_key, public_keys, script_type, derivation_path, account, next_index, created_at, updated_at')
+      .single();
+
+    if (saveError) {
+      console.error('Wallet key update error:', saveError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save wallet key'
+      });
+    }
+
+    // Echo the first receive address so the merchant can check it against their wallet
+    const firstAddress = walletService.deriveWatchOnlyAddress(data, 0);
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        first_address: firstAddress.address,
+        first_address_path: firstAddress.path
+      }
+    });
+
+  } catch (error) {
+    console.error('Wallet key update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Remove the extended public keys for a chain (optionally only ?address_type=);
+// existing payments keep their addresses
+router.delete('/:merchantId/keys/:chain', verifyApiKey, idempotency, async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+
+    // Verify merchant owns the API key
+    if (req.merchant.id !== merchantId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: API key does not match merchant'
+      });
+    }
+
+    const { error: chainError, value: chain } = keyChainSchema.validate(req.params.chain);
+    if (chainError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Chain must be one of BTC, LTC, DOGE, BCH, EVM, TRON or SOL'
+      });
+    }
+
+    const { error: queryError, value: query } = addressTypeQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: queryError.details[0].message
+      });
+    }
+
+    let deleteQuery = supabase
+      .from('merchant_wallet_keys')
+      .delete()
+      .eq('merchant_id', merchantId)
+      .eq('chain', chain);
+
+    if (query.address_type) {
+      deleteQuery = deleteQuery.eq('script_type', query.address_type);
+    }
+
+    const { data, error } = await deleteQuery.select('chain, script_type');
+
+    if (error) {
+      console.error('Wallet key delete error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to remove wallet key'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No wallet key registered for ${chain}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { removed: data },
+      message: `Wallet key for ${chain} removed`
+    });
+
+  } catch (error) {
+    console.error('Wallet key delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Get wallet connection instructions
 router.get('/connection-instructions/:currency', (req, res) => {
   try {
@@ -8,16 +8,19 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 // Import configuration
-const { PORT, NODE_ENV } = require('./config/environment');
+const { PORT, NODE_ENV, EVM_BLOCK_WATCHER } = require('./config/environment');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 const { verifyApiKey } = require('./middleware/authMiddleware');
+const { idempotency } = require('./middleware/idempotencyMiddleware');
 
 // Import routes
 const healthRoutes = require('./routes/healthRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const solanaPayRoutes = require('./routes/solanaPayRoutes');
 
 // Try to load merchant routes with error handling
 let merchantRoutes;
@@ -41,6 +44,8 @@ try {
 
 // Import services
 const paymentMonitorService = require('./services/paymentMonitorService');
+const evmWatcherService = require('./services/evmWatcherService');
+const mempoolService = require('./services/mempoolService');
 const keepAliveService = require('./services/keepAliveService');
 const websocketService = require('./services/websocketService');
 
@@ -74,11 +79,10 @@ app.use(helmet({
   },
 }));
 
-// CORS configuration
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
-}));
+// CORS configuration; wallets fetch Solana Pay transaction requests from any origin
+app.use(cors((req, callback) => callback(null, req.path.startsWith('/api/solana-pay/')
+  ? { origin: '*' }
+  : { origin: process.env.FRONTEND_URL || 'http://localhost:3000', credentials: true })));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -105,9 +109,15 @@ app.use('/api/merchants', merchantRoutes);
 console.log('✅ Mounted /api/merchants route');
 
 // API routes with authentication
-app.use('/api/payments', verifyApiKey, paymentRoutes);
+app.use('/api/payments', verifyApiKey, idempotency, paymentRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
+// Checkout sessions (merchant routes authenticate per route, payer routes are public)
+app.use('/api/checkout', checkoutRoutes);
+
+// Solana Pay transaction requests (public, called by the payer's wallet)
+app.use('/api/solana-pay', solanaPayRoutes);
+
 // Wallet management routes (authenticated)
 app.use('/api/wallet', walletRoutes);
 console.log('✅ Mounted /api/wallet route');
@@ -156,6 +166,24 @@ const server = app.listen(PORT, async () => {
     console.error(`❌ Failed to start payment monitoring service:`, error);
   }
 
+  // Start EVM block watcher
+  if (EVM_BLOCK_WATCHER) {
+    try {
+      await evmWatcherService.start();
+      console.log(`✅ EVM block watcher started`);
+    } catch (error) {
+      console.error(`❌ Failed to start EVM block watcher:`, error);
+    }
+  }
+
+  // Start mempool watcher
+  try {
+    await mempoolService.start();
+    console.log(`✅ Mempool watcher started`);
+  } catch (error) {
+    console.error(`❌ Failed to start mempool watcher:`, error);
+  }
+
   // Start keep-alive service
   try {
     await keepAliveService.start();
@@ -178,6 +206,8 @@ const server = app.listen(PORT, async () => {
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
   paymentMonitorService.stop();
+  evmWatcherService.stop();
+  mempoolService.stop();
   keepAliveService.stop();
   websocketService.stop();
   server.close(() => {
@@ -189,6 +219,8 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
   paymentMonitorService.stop();
+  evmWatcherService.stop();
+  mempoolService.stop();
   keepAliveService.stop();
   websocketService.stop();
   server.close(() => {
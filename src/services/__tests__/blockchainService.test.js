@@ -0,0 +1,48 @@
+// config/environment exits without these; nothing here reaches Supabase or Redis
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const blockchainService = require('../blockchainService');
+
+// One confirmed transfer of the given base units
+const checkPayment = (payment, units) => blockchainService.buildPaymentResult(
+  payment.currency,
+  payment.address,
+  payment.amount,
+  [{ tx_hash: 'tx-1', amount: units, block_height: 100 }],
+  { ...blockchainService.getPaymentContext(payment, 200), requiredConfirmations: 1 }
+);
+
+describe('blockchainService.buildPaymentResult underpayment tolerance', () => {
+  // BSC USDT has 18 decimals, where amounts one base unit apart are the same double
+  const usdt = { currency: 'USDT', network: 'bsc', address: '0x9858EfFD232B4033E47d90003D41EC34EcaEda94', amount: '100', tolerance_percent: '0.5' };
+
+  test('settles a payment short by exactly the percent tolerance', () => {
+    expect(checkPayment(usdt, '99500000000000000000')).toMatchObject({ status: 'paid', balance: 99.5 });
+  });
+
+  test('leaves a payment one base unit short of the tolerance underpaid', () => {
+    const result = checkPayment(usdt, '99499999999999999999');
+
+    expect(result.status).toBe('underpaid');
+    expect(result.outstandingAmount).toBeCloseTo(0.5);
+  });
+
+  test('counts an excess within the tolerance as paid, beyond it as overpaid', () => {
+    expect(checkPayment(usdt, '100500000000000000000').status).toBe('paid');
+    expect(checkPayment(usdt, '100500000000000000001').status).toBe('overpaid');
+  });
+
+  test('applies an absolute tolerance in satoshis on BTC', () => {
+    const btc = { currency: 'BTC', network: 'bitcoin', address: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', amount: '0.001', tolerance_amount: '0.00001' };
+
+    expect(checkPayment(btc, '99000').status).toBe('paid');
+    expect(checkPayment(btc, '98999')).toMatchObject({ status: 'underpaid', outstandingAmount: 0.00001001 });
+  });
+
+  test('uses the larger of the percent and the absolute tolerance', () => {
+    expect(blockchainService.getToleranceUnits(100000n, 8, { percent: 1, amount: 0.00000500 })).toBe(1000n);
+    expect(blockchainService.getToleranceUnits(100000n, 8, { percent: 1, amount: 0.00002 })).toBe(2000n);
+  });
+});
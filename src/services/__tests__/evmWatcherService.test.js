@@ -0,0 +1,85 @@
+// config/environment exits without these; nothing here reaches Supabase or Redis
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+delete process.env.ETHERSCAN_API_KEY;
+
+const EvmRpcProvider = require('../providers/evmRpcProvider');
+const blockchainService = require('../blockchainService');
+const evmWatcherService = require('../evmWatcherService');
+
+const ADDRESS = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+// Blocks 1001-1010, with a 0.5 ETH transfer to the payment address in block 1005
+const block = (height) => ({
+  height,
+  hash: '0x' + height.toString(16).padStart(64, '0'),
+  parent_hash: '0x' + (height - 1).toString(16).padStart(64, '0'),
+  timestamp: 1700000000 + height * 12,
+  transactions: height === 1005
+    ? [{ tx_hash: TX_HASH, to: ADDRESS.toLowerCase(), value: '500000000000000000' }]
+    : []
+});
+
+describe('evmWatcherService backfill without an Etherscan key', () => {
+  const payment = {
+    id: 'payment-1',
+    network: 'ethereum',
+    currency: 'ETH',
+    address: ADDRESS,
+    amount: '0.5',
+    status: 'pending',
+    start_block_height: 1000,
+    created_at: new Date().toISOString()
+  };
+
+  beforeEach(() => {
+    evmWatcherService.chains = evmWatcherService.buildChains();
+    evmWatcherService.chains.ETH.lastBlock = 1010;
+    evmWatcherService.payments.clear();
+
+    jest.spyOn(EvmRpcProvider.prototype, 'getBlocks').mockImplementation(async (from, to) => {
+      const blocks = [];
+      for (let height = from; height <= to; height++) {
+        blocks.push(block(height));
+      }
+      return blocks;
+    });
+    jest.spyOn(EvmRpcProvider.prototype, 'getBlockHash').mockImplementation(async height => block(height).hash);
+    jest.spyOn(EvmRpcProvider.prototype, 'getTransactionStatuses').mockImplementation(async hashes => hashes.map(() => true));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('no provider indexes native transfers by address', () => {
+    expect(blockchainService.getProviders('ETH').rank('getAddressTransactions')).toHaveLength(0);
+  });
+
+  test('replays the blocks since the payment was created', async () => {
+    await evmWatcherService.watchPayment(payment);
+
+    const watched = evmWatcherService.payments.get(payment.id);
+    expect(watched).toBeDefined();
+    expect(EvmRpcProvider.prototype.getBlocks).toHaveBeenCalledWith(1001, 1010);
+    expect([...watched.transfers.values()]).toEqual([expect.objectContaining({
+      tx_hash: TX_HASH,
+      amount: '500000000000000000',
+      block_height: 1005
+    })]);
+  });
+
+  test('retries on the next refresh while a receipt is missing', async () => {
+    EvmRpcProvider.prototype.getTransactionStatuses.mockImplementation(async hashes => hashes.map(() => null));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await evmWatcherService.watchPayment(payment);
+    expect(evmWatcherService.payments.has(payment.id)).toBe(false);
+
+    EvmRpcProvider.prototype.getTransactionStatuses.mockImplementation(async hashes => hashes.map(() => true));
+    await evmWatcherService.watchPayment(payment);
+    expect(evmWatcherService.payments.get(payment.id).transfers.has(TX_HASH)).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+// config/environment exits without these; Supabase is the in-memory stand-in in __mocks__
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+process.env.LIGHTNING_BACKEND = 'fake';
+process.env.LIGHTNING_URL = 'http://127.0.0.1:8080';
+
+const supabase = require('@supabase/supabase-js');
+const lightningService = require('../lightningService');
+const paymentService = require('../paymentService');
+const paymentMonitorService = require('../paymentMonitorService');
+
+const MERCHANT_ID = '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01';
+
+const createLightningPayment = () => paymentService.createPayment(MERCHANT_ID, {
+  amount: 0.0001,
+  currency: 'BTC',
+  method: 'lightning',
+  order_id: 'order-126',
+  expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+  callback_url: 'https://merchant.example/callback'
+});
+
+describe('Lightning payments on the fake backend', () => {
+  beforeEach(() => {
+    supabase.__reset();
+    supabase.__tables.merchants = [{ id: MERCHANT_ID, email: 'shop@example.com' }];
+
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settles an invoice into a paid payment and a payment.paid callback', async () => {
+    const payment = await createLightningPayment();
+
+    expect(payment).toMatchObject({ method: 'lightning', status: 'pending', address: null });
+    expect(payment.payment_request).toMatch(/^lnbcrt/);
+    expect(lightningService.backend.invoices.get(payment.payment_hash)).toMatchObject({
+      label: payment.id,
+      amountMsat: '10000000',
+      state: 'open'
+    });
+
+    expect((await paymentMonitorService.checkPaymentStatus(payment)).status).toBe('pending');
+
+    lightningService.backend.settleInvoice(payment.payment_hash);
+    const result = await paymentMonitorService.checkPaymentStatus(payment);
+    expect(result).toMatchObject({ status: 'paid', balance: 0.0001, tx_hash: payment.payment_hash });
+
+    await paymentMonitorService.applyStatusResult(payment, result);
+
+    expect(supabase.__tables.payments[0]).toMatchObject({ status: 'paid', actual_amount: 0.0001, tx_hash: payment.payment_hash });
+    expect(supabase.__tables.payment_transactions).toEqual([
+      expect.objectContaining({ payment_id: payment.id, tx_hash: payment.payment_hash, amount: 0.0001 })
+    ]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://merchant.example/callback');
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'payment.paid',
+      payment_id: payment.id,
+      method: 'lightning',
+      status: 'paid',
+      tx_hash: payment.payment_hash,
+      required_confirmations: 0
+    });
+  });
+
+  test('cancels the invoice when the payment cannot be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    supabase.__failNextWrite('payments', { code: '23505', message: 'duplicate key value' });
+
+    await expect(createLightningPayment()).rejects.toMatchObject({ statusCode: 409 });
+
+    const invoices = [...lightningService.backend.invoices.values()];
+    expect(invoices[invoices.length - 1].state).toBe('canceled');
+  });
+
+  test('refuses to cancel a paid invoice', async () => {
+    const payment = await createLightningPayment();
+    lightningService.backend.settleInvoice(payment.payment_hash);
+
+    await expect(lightningService.cancelInvoice(payment)).rejects.toThrow(/already paid/);
+
+    const open = await createLightningPayment();
+    await lightningService.cancelInvoice(open);
+    expect((await paymentMonitorService.checkPaymentStatus(open)).status).toBe('pending');
+    expect(lightningService.backend.invoices.get(open.payment_hash).state).toBe('canceled');
+  });
+});
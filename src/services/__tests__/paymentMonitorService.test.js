@@ -0,0 +1,179 @@
+// config/environment exits without these; Supabase is the in-memory stand-in in __mocks__
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const supabase = require('@supabase/supabase-js');
+const paymentMonitorService = require('../paymentMonitorService');
+
+const paidResult = {
+  status: 'paid',
+  balance: 0.5,
+  confirmations: 12,
+  requiredConfirmations: 12,
+  tx_hash: '0x' + 'cd'.repeat(32),
+  transactions: []
+};
+
+describe('paymentMonitorService.updatePaymentStatus', () => {
+  const payment = {
+    id: '0b6f5c0a-9a5e-4a43-8d1e-6a1d3e2f4c01',
+    merchant_id: '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01',
+    checkout_session_id: '2d9c7f3e-1b4a-4c8e-9f0d-5e6a7b8c9d01',
+    order_id: 'order-1',
+    currency: 'ETH',
+    network: 'ethereum',
+    amount: '0.5',
+    status: 'pending',
+    callback_url: 'https://merchant.example/callback'
+  };
+
+  beforeEach(() => {
+    supabase.__reset();
+    supabase.__tables.checkout_sessions = [{ id: payment.checkout_session_id, status: 'open' }];
+
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settles a payment still in the status it was checked in', async () => {
+    supabase.__tables.payments = [{ ...payment }];
+
+    await paymentMonitorService.updatePaymentStatus(payment, paidResult);
+
+    expect(supabase.__tables.payments[0]).toMatchObject({ status: 'paid', actual_amount: 0.5 });
+    expect(supabase.__tables.checkout_sessions[0]).toMatchObject({ status: 'completed', completed_payment_id: payment.id });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves a payment cancelled meanwhile alone, without side effects', async () => {
+    supabase.__tables.payments = [{ ...payment, status: 'cancelled' }];
+
+    await paymentMonitorService.updatePaymentStatus(payment, paidResult);
+
+    expect(supabase.__tables.payments[0].status).toBe('cancelled');
+    expect(supabase.__tables.checkout_sessions[0].status).toBe('open');
+    expect(supabase.__tables.webhook_logs).toBeUndefined();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('paymentMonitorService.applyStatusResult with an expired rate lock', () => {
+  const blockchainService = require('../blockchainService');
+  const priceService = require('../priceService');
+
+  const rateExpiresAt = Date.now() - 10 * 60 * 1000;
+  const payment = {
+    id: '4c2d8e1a-7b3f-4e6a-9c5d-1f2e3a4b5c01',
+    merchant_id: '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01',
+    order_id: 'order-2',
+    currency: 'ETH',
+    network: 'ethereum',
+    address: '0x9858EfFD232B4033E47d90003D41EC34EcaEda94',
+    amount: '0.5',
+    fiat_amount: '1000',
+    fiat_currency: 'USD',
+    exchange_rate: '2000',
+    rate_expires_at: new Date(rateExpiresAt).toISOString(),
+    expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+    underpayment_window: 3600,
+    start_block_height: 1000,
+    status: 'pending',
+    confirmations: 0
+  };
+
+  // 0.5 ETH in block 1005, 20 confirmations deep
+  const checkResult = (blockTime) => blockchainService.buildPaymentResult(
+    payment.currency,
+    payment.address,
+    payment.amount,
+    [{ tx_hash: '0x' + 'ef'.repeat(32), amount: '500000000000000000', block_height: 1005, block_time: Math.floor(blockTime / 1000) }],
+    blockchainService.getPaymentContext(payment, 1024)
+  );
+
+  beforeEach(() => {
+    supabase.__reset();
+    supabase.__tables.payments = [{ ...payment }];
+
+    jest.spyOn(priceService, 'getPrice').mockResolvedValue(1600);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settles funds seen within the lock at the locked rate', async () => {
+    await paymentMonitorService.applyStatusResult(payment, checkResult(rateExpiresAt - 60 * 1000));
+
+    expect(supabase.__tables.payments[0]).toMatchObject({ status: 'paid', amount: '0.5' });
+    expect(supabase.__tables.payment_rate_quotes).toBeUndefined();
+  });
+
+  test('re-quotes funds first seen after the lock expired instead of settling them', async () => {
+    await paymentMonitorService.applyStatusResult(payment, checkResult(rateExpiresAt + 60 * 1000));
+
+    expect(supabase.__tables.payments[0]).toMatchObject({ status: 'underpaid', amount: 0.625, exchange_rate: 1600 });
+    expect(new Date(supabase.__tables.payments[0].rate_expires_at).getTime()).toBeGreaterThan(Date.now());
+    expect(supabase.__tables.payments[0].topup_expires_at).toBeDefined();
+    expect(supabase.__tables.payment_rate_quotes).toEqual([
+      expect.objectContaining({ payment_id: payment.id, amount: 0.625, exchange_rate: 1600 })
+    ]);
+    expect(supabase.__tables.webhook_logs).toEqual(expect.arrayContaining([
+      expect.objectContaining({ event_type: 'requote', payload: expect.objectContaining({ previous_amount: '0.5', amount: 0.625 }) })
+    ]));
+  });
+});
+
+describe('paymentMonitorService.expireUnderpaidPayments', () => {
+  const payment = {
+    id: '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c01',
+    merchant_id: '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01',
+    order_id: 'order-3',
+    currency: 'ETH',
+    network: 'ethereum',
+    amount: '0.5',
+    actual_amount: '0.3',
+    confirmations: 12,
+    tx_hash: '0x' + 'aa'.repeat(32),
+    status: 'underpaid',
+    callback_url: 'https://merchant.example/callback'
+  };
+
+  beforeEach(() => {
+    supabase.__reset();
+
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('expires payments past their top-up window with a callback', async () => {
+    supabase.__tables.payments = [
+      { ...payment, topup_expires_at: new Date(Date.now() - 60 * 1000).toISOString() },
+      { ...payment, id: '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c02', topup_expires_at: new Date(Date.now() + 60 * 1000).toISOString() }
+    ];
+
+    await paymentMonitorService.expireUnderpaidPayments();
+
+    expect(supabase.__tables.payments.map(p => p.status)).toEqual(['expired', 'underpaid']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+      event: 'payment.expired',
+      payment_id: payment.id,
+      status: 'expired',
+      amount: 0.3,
+      expected_amount: '0.5',
+      outstanding_amount: 0.2
+    });
+  });
+});
@@ -0,0 +1,34 @@
+// config/environment exits without these; Supabase is the in-memory stand-in in __mocks__
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const supabase = require('@supabase/supabase-js');
+const paymentService = require('../paymentService');
+
+const MERCHANT_ID = '6f1c1c0e-3a8f-4d57-9a53-2f1f3f1d6b01';
+
+const createPayment = () => paymentService.createPayment(MERCHANT_ID, {
+  amount: 0.01,
+  currency: 'BTC',
+  order_id: 'order-127',
+  expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+});
+
+describe('paymentService.createPayment merchant verification', () => {
+  beforeEach(() => {
+    supabase.__reset();
+  });
+
+  test('rejects a merchant that no longer exists', async () => {
+    await expect(createPayment()).rejects.toMatchObject({ statusCode: 404, message: 'Merchant not found' });
+    expect(supabase.__tables.payments).toBeUndefined();
+  });
+
+  test('rejects a deactivated merchant', async () => {
+    supabase.__tables.merchants = [{ id: MERCHANT_ID, email: 'shop@example.com', is_active: false }];
+
+    await expect(createPayment()).rejects.toMatchObject({ statusCode: 403 });
+    expect(supabase.__tables.payments).toBeUndefined();
+  });
+});
@@ -0,0 +1,37 @@
+// config/environment exits without these; nothing here reaches Supabase or Redis
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const paymentUriService = require('../paymentUriService');
+
+const EVM_ADDRESS = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+
+describe('paymentUriService.getPaymentUri amounts', () => {
+  test('EIP-681 token transfer carries exact base units of an 18-decimal token', async () => {
+    const uri = await paymentUriService.getPaymentUri({
+      currency: 'USDT',
+      network: 'bsc',
+      address: EVM_ADDRESS,
+      amount: '12.345678901234567891'
+    });
+
+    // 1.2345678901234567891e19 is beyond a double's precision
+    expect(uri).toBe(`ethereum:0x55d398326f99059fF775485246999027B3197955@56/transfer?address=${EVM_ADDRESS}&uint256=12345678901234567891`);
+  });
+
+  test('EIP-681 native transfer has no exponent for small amounts', async () => {
+    const uri = await paymentUriService.getPaymentUri({ currency: 'ETH', network: 'ethereum', address: EVM_ADDRESS, amount: 1e-7 });
+
+    expect(uri).toBe(`ethereum:${EVM_ADDRESS}@1?value=100000000000`);
+  });
+
+  test('BIP21 amount is a plain decimal without trailing zeros', async () => {
+    const address = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+
+    expect(await paymentUriService.getPaymentUri({ currency: 'BTC', network: 'bitcoin', address, amount: 1e-7 }))
+      .toBe(`bitcoin:${address}?amount=0.0000001`);
+    expect(await paymentUriService.getPaymentUri({ currency: 'BTC', network: 'bitcoin', address, amount: '1.50000000' }))
+      .toBe(`bitcoin:${address}?amount=1.5`);
+  });
+});
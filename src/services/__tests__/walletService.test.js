@@ -0,0 +1,153 @@
+// config/environment exits without these; derivation never touches them
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN', 'JWT_SECRET', 'WEBHOOK_SECRET']) {
+  process.env[name] = process.env[name] || 'http://localhost';
+}
+
+const { PublicKey } = require('@solana/web3.js');
+const hdkey = require('hdkey');
+const walletService = require('../walletService');
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+// Accounts Phantom and Solflare show for the mnemonic (m/44'/501'/i'/0')
+const SOLANA_ACCOUNTS = [
+  'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk',
+  'Hh8QwFUA6MtVu1qAoq12ucvFHNwCcVTV7hpWjeY1Hztb',
+  '7WktogJEd2wQ9eH2oWusmcoFTgeYi6rS632UviTBJ2jm'
+];
+
+describe('walletService Solana derivation', () => {
+  const { masterKey } = walletService.generateMasterKey(MNEMONIC);
+
+  test.each(SOLANA_ACCOUNTS.map((address, index) => [index, address]))(
+    "derives account %i at m/44'/501'/i'/0' like Phantom and Solflare",
+    (index, address) => {
+      const derived = walletService.deriveAddress('SOL', masterKey, index);
+
+      expect(derived.address).toBe(address);
+      expect(derived.path).toBe(`m/44'/501'/${index}'/0'`);
+    }
+  );
+
+  test('needs the seed from generateMasterKey', () => {
+    const { seed, ...withoutSeed } = masterKey;
+
+    expect(seed).toBeDefined();
+    expect(() => walletService.deriveAddress('SOL', withoutSeed, 0)).toThrow(/seed/);
+  });
+
+  // SLIP-0010 test vector 1 for ed25519
+  test.each([
+    ["m/0'", '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3'],
+    ["m/0'/1'", 'b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2'],
+    ["m/0'/1'/2'", '92a5b23c0b8a99e37d07df3fb9966917f5d06e02ddbd909c7e184371463e9fc9']
+  ])('matches the SLIP-0010 ed25519 vector at %s', (path, privateKey) => {
+    const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+    expect(walletService.deriveEd25519Key(seed, path).toString('hex')).toBe(privateKey);
+  });
+});
+
+describe('walletService Solana watch-only pool', () => {
+  const wallet = {
+    chain: 'SOL',
+    public_keys: SOLANA_ACCOUNTS,
+    derivation_path: "m/44'/501'"
+  };
+
+  test('hands out the registered accounts in order', () => {
+    SOLANA_ACCOUNTS.forEach((address, index) => {
+      expect(walletService.deriveWatchOnlyAddress(wallet, index)).toMatchObject({
+        address,
+        path: `m/44'/501'/${index}'/0'`
+      });
+    });
+  });
+
+  test('matches the addresses derived from the mnemonic', () => {
+    const { masterKey } = walletService.generateMasterKey(MNEMONIC);
+
+    expect(walletService.deriveWatchOnlyAddress(wallet, 1).publicKey)
+      .toBe(walletService.deriveAddress('SOL', masterKey, 1).publicKey);
+  });
+
+  test('refuses an index past the pool', () => {
+    expect(() => walletService.deriveWatchOnlyAddress(wallet, SOLANA_ACCOUNTS.length)).toThrow(/no account/);
+  });
+
+  test('accepts wallet accounts only', () => {
+    expect(walletService.parseSolanaAddressPool(SOLANA_ACCOUNTS)).toEqual(SOLANA_ACCOUNTS);
+    expect(() => walletService.parseSolanaAddressPool([SOLANA_ACCOUNTS[0], SOLANA_ACCOUNTS[0]])).toThrow(/unique/);
+    expect(() => walletService.parseSolanaAddressPool(['not-an-address'])).toThrow(/Invalid Solana address/);
+
+    // Program-derived addresses are off the ed25519 curve and have no private key
+    const [pda] = PublicKey.findProgramAddressSync([Buffer.from('vault')], new PublicKey(SOLANA_ACCOUNTS[0]));
+    expect(() => walletService.parseSolanaAddressPool([pda.toBase58()])).toThrow(/not a wallet account/);
+  });
+});
+
+describe('walletService Tron addresses', () => {
+  const { masterKey } = walletService.generateMasterKey(MNEMONIC);
+
+  // First receive address of the mnemonic on Tron's BIP44 path
+  const TRON_ADDRESS = 'TUEZSdKsoDHQMeZwihtdoBiN46zxhGWYdH';
+
+  test("derives TRX at m/44'/195'/0'/0/index", () => {
+    expect(walletService.deriveAddress('TRX', masterKey, 0)).toMatchObject({
+      address: TRON_ADDRESS,
+      path: "m/44'/195'/0'/0/0"
+    });
+  });
+
+  test('derives the same address watch-only from the account xpub', () => {
+    const wallet = {
+      chain: 'TRON',
+      extended_public_key: hdkey.fromJSON(masterKey).derive("m/44'/195'/0'").publicExtendedKey,
+      script_type: 'tron',
+      derivation_path: "m/44'/195'/0'"
+    };
+
+    expect(walletService.deriveWatchOnlyAddress(wallet, 0).address).toBe(TRON_ADDRESS);
+  });
+
+  test('validates TRC-20 addresses by their 0x41 version byte and checksum', () => {
+    expect(walletService.validateAddress('TRX', TRON_ADDRESS)).toBe(true);
+    expect(walletService.validateAddress('USDT', TRON_ADDRESS, 'tron')).toBe(true);
+    expect(walletService.validateAddress('USDT', 'TUEZSdKsoDHQMeZwihtdoBiN46zxhGWYdJ', 'tron')).toBe(false);
+    expect(walletService.validateAddress('USDT', '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA', 'tron')).toBe(false);
+  });
+});
+
+describe('walletService Bitcoin Cash CashAddr', () => {
+  const { masterKey } = walletService.generateMasterKey(MNEMONIC);
+
+  // Vectors from the CashAddr specification
+  const P2PKH = { hash: 'f5bf48b397dae70be82b3cca4793f8eb2b6cdac9', address: 'bitcoincash:qr6m7j9njldwwzlg9v7v53unlr4jkmx6eylep8ekg2' };
+  const P2SH = { hash: '76a04053bda0a88bda5177b86a15c3b29f559873', address: 'bitcoincash:ppm2qsznhks23z7629mms6s4cwef74vcwvn0h829pq' };
+
+  test.each([['p2pkh', P2PKH], ['p2sh', P2SH]])('encodes and decodes the %s specification vector', (type, { hash, address }) => {
+    expect(walletService.encodeCashAddress('bitcoincash', type, Buffer.from(hash, 'hex'))).toBe(address);
+
+    const decoded = walletService.decodeCashAddress('bitcoincash', address);
+    expect(decoded.type).toBe(type);
+    expect(decoded.hash.toString('hex')).toBe(hash);
+  });
+
+  test("derives BCH at m/44'/145'/0'/0/index as CashAddr", () => {
+    expect(walletService.deriveAddress('BCH', masterKey, 0)).toMatchObject({
+      address: 'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6',
+      path: "m/44'/145'/0'/0/0"
+    });
+  });
+
+  test('validates CashAddr with or without its prefix, in one case only', () => {
+    const body = P2PKH.address.split(':')[1];
+
+    expect(walletService.validateAddress('BCH', P2PKH.address)).toBe(true);
+    expect(walletService.validateAddress('BCH', body)).toBe(true);
+    expect(walletService.validateAddress('BCH', P2PKH.address.toUpperCase())).toBe(true);
+    expect(walletService.validateAddress('BCH', body.slice(0, -1) + '3')).toBe(false);
+    expect(walletService.validateAddress('BCH', 'bitcoincash:Qr6m7j9njldwwzlg9v7v53unlr4jkmx6eylep8ekg2')).toBe(false);
+    expect(walletService.validateAddress('BCH', 'bchtest:' + body)).toBe(false);
+  });
+});
@@ -1,6 +1,10 @@
-const axios = require('axios');
 const { Redis } = require('@upstash/redis');
-const { BLOCKCHAIN_ENDPOINTS, ANKR_API_KEY, BLOCKCYPHER_API_KEY } = require('../config/environment');
+const { getDefaultNetwork, getToken } = require('../config/tokens');
+const { BLOCKCHAIN_PROVIDER_CONFIG } = require('../config/providers');
+const { EVM_CHAINS } = require('../config/evmChains');
+const { UTXO_CHAINS } = require('../config/utxoChains');
+const { buildProviderPools } = require('./providers');
+const priceService = require('./priceService');
 
 // Initialize Redis
 const redis = new Redis({
@@ -10,83 +14,109 @@ const redis = new Redis({
 
 class BlockchainService {
   constructor() {
-    this.endpoints = {
-      BTC: {
-        blockstream: 'https://blockstream.info/api',
-        blockcypher: 'https://api.blockcypher.com/v1/btc/main',
-        ankr: 'https://rpc.ankr.com/btc'
-      },
-      LTC: {
-        blockcypher: 'https://api.blockcypher.com/v1/ltc/main',
-        ankr: 'https://rpc.ankr.com/ltc'
-      },
-      ETH: {
-        ankr: 'https://rpc.ankr.com/eth',
-        infura: 'https://mainnet.infura.io/v3',
-        alchemy: 'https://eth-mainnet.g.alchemy.com/v2'
-      },
-      BNB: {
-        ankr: 'https://rpc.ankr.com/bsc',
-        binance: 'https://bsc-dataseed.binance.org'
-      },
-      SOL: {
-        ankr: 'https://rpc.ankr.com/solana',
-        helius: 'https://mainnet.helius-rpc.com',
-        solana: 'https://api.mainnet-beta.solana.com'
-      }
+    // Failover pools of Esplora, BlockCypher, Blockbook, bitcoind, EVM, Solana and Tron
+    // providers per chain (see config/providers.js)
+    this.providers = buildProviderPools(BLOCKCHAIN_PROVIDER_CONFIG);
+
+    // Chain whose blocks a network's payments are confirmed in, keyed like the
+    // maps below by the chain's native currency (POL for Polygon, TRX for Tron) or,
+    // for the ETH-paying rollups, by the chain key of config/evmChains.js (ARB, BASE, OP)
+    this.networkChains = {
+      tron: 'TRX',
+      solana: 'SOL'
     };
 
     this.requiredConfirmations = {
-      BTC: 3,
-      LTC: 6,
-      ETH: 12,
-      BNB: 15,
-      SOL: 1,
-      USDT: 12, // Depends on network
-      USDC: 12  // Depends on network
+      TRX: 19, // Tron blocks are solidified after 19 confirmations
+      SOL: 1
+    };
+
+    // Native currencies; token decimals come from the token registry
+    this.decimals = {
+      BTC: 8,
+      LTC: 8,
+      DOGE: 8,
+      BCH: 8,
+      ETH: 18,
+      BNB: 18,
+      POL: 18,
+      TRX: 6,
+      SOL: 9
+    };
+
+    // Average block (or slot) time in seconds, used to estimate a start height
+    this.blockTimes = {
+      TRX: 3,
+      SOL: 0.4
     };
+
+    for (const [chain, utxo] of Object.entries(UTXO_CHAINS)) {
+      this.networkChains[utxo.network] = chain;
+      this.requiredConfirmations[chain] = utxo.requiredConfirmations;
+      this.blockTimes[chain] = utxo.blockTime;
+    }
+
+    for (const [network, evm] of Object.entries(EVM_CHAINS)) {
+      this.networkChains[network] = evm.chain;
+      this.requiredConfirmations[evm.chain] = evm.requiredConfirmations;
+      this.blockTimes[evm.chain] = evm.blockTime;
+    }
   }
 
   /**
-   * Check payment status for a specific address and currency
+   * Check payment status by summing the incoming transactions
+   * received at the payment address after the invoice was created.
+   * pendingTransactions are mempool transactions a watcher just saw, counted even if
+   * the provider does not list them yet; passing any bypasses the result cache.
    */
-  async checkPaymentStatus(currency, address, expectedAmount) {
+  async checkPaymentStatus(payment, pendingTransactions = []) {
+    const { currency, address, amount: expectedAmount } = payment;
+    const network = payment.network || getDefaultNetwork(currency);
+    const chain = this.getChain(currency, network);
+
     try {
-      const cacheKey = `payment:${currency}:${address}`;
-      const cached = await redis.get(cacheKey);
+      const cacheKey = `payment:${payment.id}`;
+      const cached = pendingTransactions.length === 0 ? await redis.get(cacheKey) : null;
 
       if (cached) {
         return cached;
       }
 
+      const tipHeight = await this.getBlockHeight(chain);
+      if (tipHeight === null) {
+        throw new Error(`Cannot determine ${chain} tip height`);
+      }
+
+      const context = { ...this.getPaymentContext(payment, tipHeight), pendingTransactions };
       let result;
 
-      switch (currency) {
-        case 'BTC':
-          result = await this.checkBitcoinPayment(address, expectedAmount);
-          break;
-        case 'LTC':
-          result = await this.checkLitecoinPayment(address, expectedAmount);
-          break;
-        case 'ETH':
-          result = await this.checkEthereumPayment(address, expectedAmount);
-          break;
-        case 'BNB':
-          result = await this.checkBNBPayment(address, expectedAmount);
-          break;
-        case 'SOL':
-          result = await this.checkSolanaPayment(address, expectedAmount);
-          break;
-        case 'USDT':
-          result = await this.checkUSDTPayment(address, expectedAmount);
-          break;
-        case 'USDC':
-          result = await this.checkUSDCPayment(address, expectedAmount);
-          break;
-        default:
-          throw new Error(`Unsupported currency: ${currency}`);
+      if (payment.shared_address) {
+        result = await this.checkReferencePayment(payment, context);
+      } else {
+        switch (currency) {
+          case 'BTC':
+          case 'LTC':
+          case 'DOGE':
+          case 'BCH':
+          case 'ETH':
+          case 'BNB':
+          case 'POL':
+          case 'TRX':
+          case 'SOL':
+            result = await this.checkNativePayment(currency, address, expectedAmount, context);
+            break;
+          case 'USDT':
+          case 'USDC':
+            result = await this.checkTokenPayment(currency, address, expectedAmount, context);
+            break;
+          default:
+            throw new Error(`Unsupported currency: ${currency}`);
+        }
       }
 
+      // Pin every confirmed transaction to its block so reorgs can be detected later
+      await this.fillBlockHashes(chain, result.transactions);
+
       // Cache result for 30 seconds
       await redis.setex(cacheKey, 30, JSON.stringify(result));
 
@@ -97,277 +127,399 @@ class BlockchainService {
         status: 'error',
         error: error.message,
         address,
-        currency
+        currency,
+        network
       };
     }
   }
 
   /**
-   * Check Bitcoin payment using multiple APIs
+   * Check a payment in a chain's native currency
    */
-  async checkBitcoinPayment(address, expectedAmount) {
-    const endpoints = [
-      `${this.endpoints.BTC.blockstream}/address/${address}`,
-      `${this.endpoints.BTC.blockcypher}/addrs/${address}/balance`
-    ];
+  async checkNativePayment(currency, address, expectedAmount, context) {
+    const transactions = await this.getProviders(context.chain)
+      .call('getAddressTransactions', address, context.startHeight);
 
-    for (const endpoint of endpoints) {
-      try {
-        const response = await axios.get(endpoint, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'Lightweight-Crypto-Payment-Processor/1.0'
-          }
-        });
+    return this.buildPaymentResult(currency, address, expectedAmount, transactions, context);
+  }
+
+  /**
+   * Check a stablecoin payment on its network: ERC-20/BEP-20 Transfer logs,
+   * TRC-20 transfers or SPL token account balances
+   */
+  async checkTokenPayment(currency, address, expectedAmount, context) {
+    const token = getToken(currency, context.network);
+    if (!token) {
+      throw new Error(`${currency} is not supported on ${context.network}`);
+    }
+
+    const transactions = await this.getProviders(context.chain)
+      .call('getTokenTransfers', token, address, context.startHeight);
+
+    return this.buildPaymentResult(currency, address, expectedAmount, transactions, context);
+  }
+
+  /**
+   * Check a payment to a shared deposit address by the transfers tagged with its reference
+   */
+  async checkReferencePayment(payment, context) {
+    const { currency, address, reference, amount: expectedAmount } = payment;
+    const token = getToken(currency, context.network);
+
+    const transactions = await this.getProviders(context.chain)
+      .call('getReferenceTransfers', reference, address, token, context.startHeight);
+
+    return this.buildPaymentResult(currency, address, expectedAmount, transactions, context);
+  }
 
-        let balance = 0;
-        let txs = [];
-
-        if (endpoint.includes('blockstream')) {
-          const data = response.data;
-          balance = data.chain_stats.funded_txo_sum / 100000000; // Convert satoshis to BTC
-          txs = data.txids || [];
-        } else if (endpoint.includes('blockcypher')) {
-          const data = response.data;
-          balance = data.balance / 100000000; // Convert satoshis to BTC
-          txs = data.txrefs ? data.txrefs.map(tx => tx.tx_hash) : [];
+  /**
+   * Ask every available provider of the payment's chain for its own view of a settling
+   * payment, each measured against that provider's tip height, and count the views that
+   * agree with the result: same status, same transactions and amounts.
+   * Returns { chain, required, agreed, total, passed, responses }.
+   */
+  async verifyQuorum(payment, result, required) {
+    const { currency, address, amount: expectedAmount } = payment;
+    const network = payment.network || getDefaultNetwork(currency);
+    const chain = this.getChain(currency, network);
+    const pool = this.getProviders(chain);
+    const [method, ...args] = this.getLookupCall(payment);
+
+    // Payments created before a provider was removed cannot wait on it
+    required = Math.min(required, this.getQuorumCapacity(currency, network, payment.shared_address));
+
+    const responses = [];
+    for (const provider of pool.rank(method)) {
+      try {
+        // Providers without a tip of their own (Etherscan) are measured against the pool's
+        const tipHeight = provider.supports('getBlockHeight')
+          ? await pool.callProvider(provider, 'getBlockHeight')
+          : await this.getBlockHeight(chain);
+        if (tipHeight === null) {
+          throw new Error(`Cannot determine ${chain} tip height`);
         }
 
-        const confirmedBalance = balance;
-        const isPaid = confirmedBalance >= expectedAmount;
-        const confirmations = isPaid ? this.requiredConfirmations.BTC : 0;
-
-        return {
-          status: isPaid ? 'paid' : 'pending',
-          address,
-          currency: 'BTC',
-          balance: confirmedBalance,
-          expectedAmount,
-          confirmations,
-          transactions: txs.slice(0, 10), // Last 10 transactions
-          lastChecked: new Date().toISOString()
-        };
+        const context = this.getPaymentContext(payment, tipHeight);
+        const transactions = await pool.callProvider(provider, method, ...args, context.startHeight);
+        const view = this.buildPaymentResult(currency, address, expectedAmount, transactions, context);
+
+        responses.push({
+          provider: provider.name,
+          agrees: this.viewsAgree(result, view),
+          status: view.status,
+          balance: view.balance,
+          confirmations: view.confirmations,
+          transactions: view.transactions.map(tx => ({
+            tx_hash: tx.tx_hash,
+            amount: tx.amount,
+            block_height: tx.block_height,
+            confirmations: tx.confirmations
+          }))
+        });
       } catch (error) {
-        console.warn(`Bitcoin API ${endpoint} failed:`, error.message);
-        continue;
+        responses.push({ provider: provider.name, agrees: false, error: error.message });
       }
     }
 
-    throw new Error('All Bitcoin APIs failed');
+    const agreed = responses.filter(response => response.agrees).length;
+
+    return {
+      chain,
+      required,
+      agreed,
+      total: responses.length,
+      passed: agreed >= required,
+      responses
+    };
   }
 
   /**
-   * Check Litecoin payment
+   * Provider method and arguments (before the start height) that list a payment's transfers
    */
-  async checkLitecoinPayment(address, expectedAmount) {
-    try {
-      const response = await axios.get(
-        `${this.endpoints.LTC.blockcypher}/addrs/${address}/balance`,
-        { timeout: 10000 }
-      );
+  getLookupCall(payment) {
+    const network = payment.network || getDefaultNetwork(payment.currency);
+    const token = getToken(payment.currency, network);
 
-      const data = response.data;
-      const balance = data.balance / 100000000; // Convert litoshis to LTC
+    if (payment.shared_address) {
+      return ['getReferenceTransfers', payment.reference, payment.address, token];
+    }
+    return token
+      ? ['getTokenTransfers', token, payment.address]
+      : ['getAddressTransactions', payment.address];
+  }
 
-      return {
-        status: balance >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'LTC',
-        balance,
-        expectedAmount,
-        confirmations: balance >= expectedAmount ? this.requiredConfirmations.LTC : 0,
-        lastChecked: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`Litecoin API failed: ${error.message}`);
+  /**
+   * Largest quorum a payment can reach: the configured providers able to list its
+   * transfers on their own, at least 1. Native EVM transfers are only listed by
+   * Etherscan, TRX by TronGrid.
+   */
+  getQuorumCapacity(currency, network, sharedAddress = false) {
+    const [method] = this.getLookupCall({ currency, network, shared_address: sharedAddress });
+    const pool = this.providers[this.getChain(currency, network)];
+    const supporting = pool ? pool.providers.filter(provider => provider.supports(method)).length : 0;
+
+    return Math.max(supporting, 1);
+  }
+
+  /**
+   * Whether a provider's view of a payment matches the result being verified
+   */
+  viewsAgree(result, view) {
+    if (view.status !== result.status || view.balance !== result.balance) {
+      return false;
     }
+
+    const amounts = new Map(view.transactions.map(tx => [tx.tx_hash, tx.amount]));
+    return amounts.size === result.transactions.length &&
+      result.transactions.every(tx => amounts.get(tx.tx_hash) === tx.amount);
   }
 
   /**
-   * Check Ethereum payment
+   * Sum the detected transactions and compare against the expected amount.
+   * Transactions carry amounts in base units (satoshis, wei, lamports) as strings.
+   * Anything within the tolerance of the expected amount counts as exact; below it
+   * the payment is 'underpaid', above it the settled payment is 'overpaid'.
+   * A funded payment is 'detected' while any of its transactions is still in the
+   * mempool, then 'confirming' until the least-confirmed one reaches the required
+   * depth (0 for payments accepting zero-confirmation settlement, unless the payment
+   * refuses replaceable transactions and an unconfirmed one signals RBF).
    */
-  async checkEthereumPayment(address, expectedAmount) {
-    const web3 = new (require('web3'))(this.endpoints.ETH.ankr);
+  buildPaymentResult(currency, address, expectedAmount, transactions, context) {
+    const decimals = this.getDecimals(currency, context.network);
 
-    try {
-      const balance = await web3.eth.getBalance(address);
-      const balanceInEther = web3.utils.fromWei(balance, 'ether');
+    // Mempool transactions pushed by a watcher may not have reached the provider yet
+    const listed = new Set(transactions.map(tx => tx.tx_hash));
+    transactions = transactions.concat((context.pendingTransactions || []).filter(tx => !listed.has(tx.tx_hash)));
 
-      return {
-        status: parseFloat(balanceInEther) >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'ETH',
-        balance: parseFloat(balanceInEther),
-        expectedAmount,
-        confirmations: parseFloat(balanceInEther) >= expectedAmount ? this.requiredConfirmations.ETH : 0,
-        lastChecked: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`Ethereum API failed: ${error.message}`);
+    let requiredConfirmations = context.requiredConfirmations ?? this.getRequiredConfirmations(context.chain);
+    if (requiredConfirmations === 0 && context.rejectRbf &&
+        transactions.some(tx => tx.block_height === null && tx.rbf)) {
+      requiredConfirmations = 1;
     }
+
+    const expected = this.toBaseUnits(expectedAmount, decimals);
+    const tolerance = this.getToleranceUnits(expected, decimals, context.tolerance);
+    const received = transactions.reduce((sum, tx) => sum + BigInt(tx.amount), 0n);
+
+    const withConfirmations = transactions.map(tx => ({
+      ...tx,
+      amount: this.fromBaseUnits(BigInt(tx.amount), decimals),
+      confirmations: this.getConfirmations(tx.block_height, context.tipHeight)
+    }));
+
+    const confirmations = withConfirmations.length > 0
+      ? Math.min(...withConfirmations.map(tx => tx.confirmations))
+      : 0;
+
+    let status = 'pending';
+    if (received > 0n && received < expected - tolerance) {
+      status = 'underpaid';
+    } else if (received > 0n) {
+      if (confirmations < requiredConfirmations) {
+        status = confirmations === 0 ? 'detected' : 'confirming';
+      } else {
+        status = received > expected + tolerance ? 'overpaid' : 'paid';
+      }
+    }
+
+    const outstanding = expected > received ? expected - received : 0n;
+    const excess = received > expected ? received - expected : 0n;
+
+    return {
+      status,
+      address,
+      currency,
+      network: context.network,
+      balance: this.fromBaseUnits(received, decimals),
+      expectedAmount: parseFloat(expectedAmount),
+      outstandingAmount: status === 'underpaid' || status === 'pending' ? this.fromBaseUnits(outstanding, decimals) : 0,
+      excessAmount: this.fromBaseUnits(excess, decimals),
+      confirmations,
+      requiredConfirmations,
+      tipHeight: context.tipHeight,
+      tx_hash: transactions.length > 0 ? transactions[0].tx_hash : null,
+      transactions: withConfirmations,
+      lastChecked: new Date().toISOString()
+    };
   }
 
   /**
-   * Check BNB Smart Chain payment
+   * Everything buildPaymentResult needs about a payment at a given tip height
    */
-  async checkBNBPayment(address, expectedAmount) {
-    const web3 = new (require('web3'))(this.endpoints.BNB.ankr);
+  getPaymentContext(payment, tipHeight) {
+    const network = payment.network || getDefaultNetwork(payment.currency);
+    const chain = this.getChain(payment.currency, network);
+
+    return {
+      network,
+      chain,
+      startHeight: this.resolveStartHeight(payment, tipHeight),
+      tipHeight,
+      tolerance: this.getTolerance(payment),
+      requiredConfirmations: payment.zero_conf ? 0 : this.getRequiredConfirmations(chain),
+      rejectRbf: Boolean(payment.zero_conf_reject_rbf)
+    };
+  }
 
-    try {
-      const balance = await web3.eth.getBalance(address);
-      const balanceInEther = web3.utils.fromWei(balance, 'ether');
+  /**
+   * Rebuild a check result for the payment as it is now, e.g. re-quoted to a new amount,
+   * without some of its transactions, e.g. ones double-spent since the provider listed them
+   */
+  excludeTransactions(payment, result, txHashes) {
+    const decimals = this.getDecimals(payment.currency, result.network);
+    const excluded = new Set(txHashes);
+
+    const transactions = result.transactions
+      .filter(tx => !excluded.has(tx.tx_hash))
+      .map(tx => ({ ...tx, amount: this.toBaseUnits(tx.amount, decimals).toString() }));
+
+    return this.buildPaymentResult(
+      payment.currency,
+      payment.address,
+      payment.amount,
+      transactions,
+      this.getPaymentContext(payment, result.tipHeight)
+    );
+  }
 
-      return {
-        status: parseFloat(balanceInEther) >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'BNB',
-        balance: parseFloat(balanceInEther),
-        expectedAmount,
-        confirmations: parseFloat(balanceInEther) >= expectedAmount ? this.requiredConfirmations.BNB : 0,
-        lastChecked: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`BNB API failed: ${error.message}`);
+  /**
+   * Tolerance snapshotted on a payment
+   */
+  getTolerance(payment) {
+    return {
+      percent: parseFloat(payment.tolerance_percent) || 0,
+      amount: parseFloat(payment.tolerance_amount) || 0
+    };
+  }
+
+  /**
+   * Tolerance in base units: the larger of the percentage and the absolute amount
+   */
+  getToleranceUnits(expected, decimals, tolerance = {}) {
+    // Percent is scaled by 100 to keep two decimal places in integer math
+    const byPercent = expected * BigInt(Math.round((tolerance.percent || 0) * 100)) / 10000n;
+    const byAmount = this.toBaseUnits(tolerance.amount || 0, decimals);
+
+    return byPercent > byAmount ? byPercent : byAmount;
+  }
+
+  /**
+   * Confirmation depth of a transaction; mempool transactions have none
+   */
+  getConfirmations(blockHeight, tipHeight) {
+    if (blockHeight === null || blockHeight === undefined) {
+      return 0;
     }
+
+    // A lagging provider may report a tip below a block we already saw
+    return Math.max(tipHeight - blockHeight + 1, 1);
   }
 
   /**
-   * Check Solana payment
+   * Get the current chain tip height (slot for Solana)
    */
-  async checkSolanaPayment(address, expectedAmount) {
+  async getBlockHeight(chain) {
     try {
-      const response = await axios.post(this.endpoints.SOL.ankr, {
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getBalance',
-        params: [address]
-      }, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000
-      });
-
-      const balance = response.data.result.value / 1000000000; // Convert lamports to SOL
+      return await this.getProviders(chain).call('getBlockHeight');
+    } catch (error) {
+      console.error(`Error getting ${chain} block height:`, error.message);
+      return null;
+    }
+  }
 
-      return {
-        status: balance >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'SOL',
-        balance,
-        expectedAmount,
-        confirmations: balance >= expectedAmount ? this.requiredConfirmations.SOL : 0,
-        lastChecked: new Date().toISOString()
-      };
+  /**
+   * Get the hash of the canonical block at a height (slot for Solana)
+   */
+  async getBlockHash(chain, height) {
+    try {
+      return await this.getProviders(chain).call('getBlockHash', height);
     } catch (error) {
-      throw new Error(`Solana API failed: ${error.message}`);
+      console.error(`Error getting ${chain} block hash at ${height}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Look up block hashes for confirmed transactions whose API did not return one
+   */
+  async fillBlockHashes(chain, transactions) {
+    for (const tx of transactions) {
+      if (tx.block_height !== null && !tx.block_hash) {
+        tx.block_hash = await this.getBlockHash(chain, tx.block_height);
+      }
     }
   }
 
   /**
-   * Check USDT payment (ERC-20 on Ethereum)
+   * Height at which the invoice was created; transactions at or below it are ignored.
+   * Payments created while the chain API was unreachable get an estimate from created_at.
    */
-  async checkUSDTPayment(address, expectedAmount) {
-    const web3 = new (require('web3'))(this.endpoints.ETH.ankr);
+  resolveStartHeight(payment, tip) {
+    if (payment.start_block_height !== null && payment.start_block_height !== undefined) {
+      return parseInt(payment.start_block_height);
+    }
 
-    try {
-      // USDT contract address
-      const usdtContract = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
-
-      const contract = new web3.eth.Contract([
-        {
-          constant: true,
-          inputs: [{ name: '_owner', type: 'address' }],
-          name: 'balanceOf',
-          outputs: [{ name: 'balance', type: 'uint256' }],
-          type: 'function'
-        }
-      ], usdtContract);
+    const elapsed = (Date.now() - new Date(payment.created_at).getTime()) / 1000;
+    const blocks = Math.ceil(elapsed / this.blockTimes[this.getChain(payment.currency, payment.network)]) + 1;
 
-      const balance = await contract.methods.balanceOf(address).call();
-      const balanceInUSDT = balance / 1000000; // USDT has 6 decimals
+    return Math.max(tip - blocks, 0);
+  }
 
-      return {
-        status: balanceInUSDT >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'USDT',
-        balance: balanceInUSDT,
-        expectedAmount,
-        confirmations: balanceInUSDT >= expectedAmount ? this.requiredConfirmations.USDT : 0,
-        lastChecked: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`USDT API failed: ${error.message}`);
+  /**
+   * Convert a decimal amount to integer base units
+   */
+  toBaseUnits(amount, decimals) {
+    // Work on the decimal string so 0.1 ETH is exactly 10^17 wei
+    let str = String(amount);
+    if (/e/i.test(str)) {
+      str = Number(amount).toFixed(decimals);
     }
+
+    const [whole, fraction = ''] = str.split('.');
+    return BigInt(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
   }
 
   /**
-   * Check USDC payment (ERC-20 on Ethereum)
+   * Convert integer base units to a decimal amount
    */
-  async checkUSDCPayment(address, expectedAmount) {
-    const web3 = new (require('web3'))(this.endpoints.ETH.ankr);
+  fromBaseUnits(units, decimals) {
+    const str = units.toString().padStart(decimals + 1, '0');
+    return parseFloat(`${str.slice(0, str.length - decimals)}.${str.slice(str.length - decimals)}`);
+  }
 
-    try {
-      // USDC contract address
-      const usdcContract = '0xA0b86a33E6441e94E2A7a1E8A1c8B8F5F5E5E5E5';
-
-      const contract = new web3.eth.Contract([
-        {
-          constant: true,
-          inputs: [{ name: '_owner', type: 'address' }],
-          name: 'balanceOf',
-          outputs: [{ name: 'balance', type: 'uint256' }],
-          type: 'function'
-        }
-      ], usdcContract);
+  /**
+   * Format integer base units as an exact decimal string without exponent or trailing zeros
+   */
+  formatBaseUnits(units, decimals) {
+    const str = units.toString().padStart(decimals + 1, '0');
+    const whole = str.slice(0, str.length - decimals);
+    const fraction = str.slice(str.length - decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
 
-      const balance = await contract.methods.balanceOf(address).call();
-      const balanceInUSDC = balance / 1000000; // USDC has 6 decimals
+  /**
+   * Whether conflicting spends of a chain's unconfirmed transactions can be looked up
+   */
+  supportsOutspends(chain) {
+    const pool = this.providers[chain];
+    return Boolean(pool) && pool.rank('getOutspends').length > 0;
+  }
 
-      return {
-        status: balanceInUSDC >= expectedAmount ? 'paid' : 'pending',
-        address,
-        currency: 'USDC',
-        balance: balanceInUSDC,
-        expectedAmount,
-        confirmations: balanceInUSDC >= expectedAmount ? this.requiredConfirmations.USDC : 0,
-        lastChecked: new Date().toISOString()
-      };
-    } catch (error) {
-      throw new Error(`USDC API failed: ${error.message}`);
-    }
+  /**
+   * Transaction spending each 'txid:vout' outpoint, null while unspent
+   */
+  async getOutspends(chain, outpoints) {
+    return await this.getProviders(chain).call('getOutspends', outpoints);
   }
 
   /**
    * Get transaction details
    */
-  async getTransactionDetails(currency, txHash) {
-    try {
-      let endpoint;
-
-      switch (currency) {
-        case 'BTC':
-          endpoint = `${this.endpoints.BTC.blockstream}/tx/${txHash}`;
-          break;
-        case 'LTC':
-          endpoint = `${this.endpoints.LTC.blockcypher}/txs/${txHash}`;
-          break;
-        case 'ETH':
-        case 'BNB':
-          const web3 = new (require('web3'))(this.endpoints[currency].ankr);
-          return await web3.eth.getTransaction(txHash);
-        case 'SOL':
-          const response = await axios.post(this.endpoints.SOL.ankr, {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'getTransaction',
-            params: [txHash]
-          });
-          return response.data.result;
-        default:
-          throw new Error(`Unsupported currency: ${currency}`);
-      }
+  async getTransactionDetails(currency, txHash, network = null) {
+    const chain = this.getChain(currency, network);
 
-      const response = await axios.get(endpoint, { timeout: 10000 });
-      return response.data;
+    try {
+      return await this.getProviders(chain).call('getTransaction', txHash);
     } catch (error) {
       console.error(`Error getting ${currency} transaction:`, error);
       return null;
@@ -375,35 +527,11 @@ class BlockchainService {
   }
 
   /**
-   * Get current price for currency (placeholder)
+   * Get current price for currency
    */
-  async getCurrentPrice(currency) {
+  async getCurrentPrice(currency, fiatCurrency = 'USD') {
     try {
-      // This would integrate with a price oracle like CoinGecko
-      const cacheKey = `price:${currency}`;
-      const cached = await redis.get(cacheKey);
-
-      if (cached) {
-        return parseFloat(cached);
-      }
-
-      // Placeholder prices - in production, use real price feed
-      const prices = {
-        BTC: 45000,
-        LTC: 70,
-        ETH: 2500,
-        BNB: 300,
-        SOL: 100,
-        USDT: 1,
-        USDC: 1
-      };
-
-      const price = prices[currency] || 0;
-
-      // Cache for 5 minutes
-      await redis.setex(cacheKey, 300, price.toString());
-
-      return price;
+      return await priceService.getPrice(currency, fiatCurrency);
     } catch (error) {
       console.error(`Error getting ${currency} price:`, error);
       return 0;
@@ -411,10 +539,47 @@ class BlockchainService {
   }
 
   /**
-   * Get required confirmations for currency
+   * Provider pool of a chain
+   */
+  getProviders(chain) {
+    const pool = this.providers[chain];
+    if (!pool) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
+    return pool;
+  }
+
+  /**
+   * Latency, error rate and circuit state of every provider, by chain
+   */
+  getProviderHealth() {
+    const health = {};
+    for (const [chain, pool] of Object.entries(this.providers)) {
+      health[chain] = pool.getHealth();
+    }
+    return health;
+  }
+
+  /**
+   * Chain a payment is confirmed on; tokens follow their network
+   */
+  getChain(currency, network = null) {
+    return this.networkChains[network || getDefaultNetwork(currency)] || currency;
+  }
+
+  /**
+   * Decimals of a currency; a token's differ per network
+   */
+  getDecimals(currency, network = null) {
+    const token = getToken(currency, network || getDefaultNetwork(currency));
+    return token ? token.decimals : this.decimals[currency];
+  }
+
+  /**
+   * Get required confirmations for a chain (see getChain)
    */
-  getRequiredConfirmations(currency) {
-    return this.requiredConfirmations[currency] || 1;
+  getRequiredConfirmations(chain) {
+    return this.requiredConfirmations[chain] || 1;
   }
 }
 
@@ -0,0 +1,586 @@
+const { createClient } = require('@supabase/supabase-js');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
+const { TOKENS, getToken } = require('../config/tokens');
+const { EVM_CHAINS } = require('../config/evmChains');
+const blockchainService = require('./blockchainService');
+const paymentMonitorService = require('./paymentMonitorService');
+
+// Initialize Supabase client
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+// transfer(address,uint256)
+const TRANSFER_SELECTOR = '0xa9059cbb';
+
+/**
+ * Follows new blocks of the EVM chains instead of polling every open payment.
+ *
+ * Each round the open payments are loaded into an in-memory set of watched addresses, then
+ * every block since the last processed one is matched against it: native transfers from the
+ * blocks' transactions and ERC-20/BEP-20 Transfer logs from batched eth_getLogs calls. The last
+ * processed block is persisted per chain so a restart resumes where it stopped. Transactions
+ * of the node's pending block are matched too, so payments are 'detected' before they are
+ * mined. Matches are fed through paymentMonitorService.applyStatusResult like a polled
+ * result would be.
+ */
+class EvmWatcherService {
+  constructor() {
+    this.isRunning = false;
+    this.checkInterval = 10 * 1000; // 10 seconds
+    this.maxBlocksPerScan = 100; // blocks per eth_getLogs range
+    this.blockBatchSize = 20; // blocks per batched eth_getBlockByNumber request
+    this.recipientBatchSize = 100; // recipient addresses per eth_getLogs filter
+    this.maxCatchUp = 5000; // blocks; further behind, jump to the tip and backfill per payment
+    this.pendingTtl = 15 * 60 * 1000; // ms an unmined transaction is kept after it was last seen pending
+
+    // chain -> { network, nativeCurrency, tokens: Map(contract -> currency), lastBlock, lastBlockHash }
+    this.chains = {};
+
+    // payment id -> { payment, chain, transfers: Map(tx_hash -> transfer in base units) }
+    this.payments = new Map();
+  }
+
+  /**
+   * Start watching every EVM chain with a JSON-RPC provider
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('EVM watcher is already running');
+      return;
+    }
+
+    this.chains = this.buildChains();
+    if (Object.keys(this.chains).length === 0) {
+      console.log('⚠️ No EVM JSON-RPC providers configured, EVM payments stay polled');
+      return;
+    }
+
+    await this.loadScanState();
+
+    // Open payments on these networks are no longer polled one by one
+    for (const state of Object.values(this.chains)) {
+      paymentMonitorService.blockWatchedNetworks.add(state.network);
+    }
+
+    console.log(`🚀 Starting EVM watcher for ${Object.keys(this.chains).join(', ')}...`);
+    this.isRunning = true;
+
+    this.watchLoop();
+  }
+
+  /**
+   * Stop the watcher; the payment monitor resumes polling its payments
+   */
+  stop() {
+    console.log('🛑 Stopping EVM watcher...');
+    this.isRunning = false;
+
+    for (const state of Object.values(this.chains)) {
+      paymentMonitorService.blockWatchedNetworks.delete(state.network);
+    }
+  }
+
+  /**
+   * Main watch loop
+   */
+  async watchLoop() {
+    while (this.isRunning) {
+      try {
+        await this.refreshPayments();
+
+        for (const chain of Object.keys(this.chains)) {
+          await this.scanChain(chain);
+        }
+      } catch (error) {
+        console.error('EVM watcher error:', error);
+      }
+
+      await this.sleep(this.checkInterval);
+    }
+  }
+
+  /**
+   * Chains to watch: those whose pool has a provider able to serve blocks and logs
+   */
+  buildChains() {
+    const chains = {};
+
+    for (const [network, { chain, nativeCurrency }] of Object.entries(EVM_CHAINS)) {
+      const pool = blockchainService.getProviders(chain);
+
+      if (pool.rank('getBlocks').length === 0 || pool.rank('getTransferLogs').length === 0) {
+        console.warn(`EVM watcher: no JSON-RPC provider for ${chain}, its payments stay polled`);
+        continue;
+      }
+
+      const tokens = new Map();
+      for (const [currency, networks] of Object.entries(TOKENS)) {
+        if (networks[network]) {
+          tokens.set(networks[network].contract.toLowerCase(), currency);
+        }
+      }
+
+      chains[chain] = {
+        network,
+        nativeCurrency,
+        tokens,
+        lastBlock: null,
+        lastBlockHash: null
+      };
+    }
+
+    return chains;
+  }
+
+  /**
+   * Resume from the last processed block of each chain
+   */
+  async loadScanState() {
+    const { data, error } = await supabase
+      .from('chain_scan_state')
+      .select('chain, last_block, last_block_hash')
+      .in('chain', Object.keys(this.chains));
+
+    if (error) {
+      console.error('Failed to load EVM scan state, starting from the tip:', error);
+      return;
+    }
+
+    for (const row of data || []) {
+      this.chains[row.chain].lastBlock = parseInt(row.last_block);
+      this.chains[row.chain].lastBlockHash = row.last_block_hash;
+    }
+  }
+
+  /**
+   * Persist the last processed block of a chain
+   */
+  async saveScanState(chain) {
+    const state = this.chains[chain];
+
+    const { error } = await supabase
+      .from('chain_scan_state')
+      .upsert({
+        chain,
+        last_block: state.lastBlock,
+        last_block_hash: state.lastBlockHash,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chain' });
+
+    if (error) {
+      console.error(`Failed to save ${chain} scan state:`, error);
+    }
+  }
+
+  /**
+   * Reload the open payments on the watched networks
+   */
+  async refreshPayments() {
+    const now = new Date().toISOString();
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .in('network', Object.values(this.chains).map(state => state.network))
+      .or([
+        'status.in.(detected,confirming,reorged)',
+        `and(status.eq.pending,expires_at.gt."${now}")`,
+        `and(status.eq.underpaid,topup_expires_at.gt."${now}")`
+      ].join(','));
+
+    if (error) {
+      console.error('EVM watcher failed to load payments:', error);
+      return;
+    }
+
+    const open = new Set();
+    for (const payment of payments || []) {
+      open.add(payment.id);
+
+      const watched = this.payments.get(payment.id);
+      if (watched) {
+        watched.payment = payment;
+      } else {
+        await this.watchPayment(payment);
+      }
+    }
+
+    for (const id of this.payments.keys()) {
+      if (!open.has(id)) {
+        this.payments.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Add a payment to the watched set. Blocks the watcher processed before the payment was
+   * first seen (or before a restart) are backfilled with a one-off per-address lookup, or,
+   * when no provider indexes transfers by address (native transfers without an Etherscan
+   * key), by replaying those blocks for its address alone.
+   */
+  async watchPayment(payment) {
+    const chain = blockchainService.networkChains[payment.network];
+    const state = this.chains[chain];
+    const watched = { payment, chain, transfers: new Map() };
+
+    const startHeight = payment.start_block_height === null || payment.start_block_height === undefined
+      ? null
+      : parseInt(payment.start_block_height);
+
+    if (state.lastBlock !== null && (startHeight === null || startHeight < state.lastBlock)) {
+      try {
+        const pool = blockchainService.getProviders(chain);
+        const token = getToken(payment.currency, payment.network);
+        const from = blockchainService.resolveStartHeight(payment, state.lastBlock);
+        const [method, ...args] = token
+          ? ['getTokenTransfers', token, payment.address, from]
+          : ['getAddressTransactions', payment.address, from];
+
+        if (pool.rank(method).length > 0) {
+          for (const transfer of await pool.call(method, ...args)) {
+            watched.transfers.set(transfer.tx_hash, transfer);
+          }
+        } else {
+          await this.replayBlocks(chain, from + 1, state.lastBlock, watched);
+        }
+      } catch (error) {
+        // Not watched yet, so the next refresh retries the backfill
+        console.error(`EVM watcher failed to backfill payment ${payment.id}:`, error.message);
+        return;
+      }
+    }
+
+    this.payments.set(payment.id, watched);
+  }
+
+  /**
+   * Match blocks from..to (inclusive) against a single watched payment
+   */
+  async replayBlocks(chain, from, to, watched) {
+    const addresses = new Map([[watched.payment.address.toLowerCase(), watched]]);
+
+    for (let start = from; start <= to; start += this.maxBlocksPerScan) {
+      await this.scanRange(chain, start, Math.min(start + this.maxBlocksPerScan - 1, to), addresses);
+    }
+  }
+
+  /**
+   * Process every block of a chain since the last processed one, then apply the
+   * matched transfers at the new tip
+   */
+  async scanChain(chain) {
+    const state = this.chains[chain];
+    const pool = blockchainService.getProviders(chain);
+
+    try {
+      const tip = await pool.call('getBlockHeight');
+
+      if (state.lastBlock === null || tip - state.lastBlock > this.maxCatchUp) {
+        if (state.lastBlock !== null) {
+          console.warn(`⚠️ EVM watcher ${chain} is ${tip - state.lastBlock} blocks behind, skipping to the tip`);
+        }
+
+        // Payments seen again are backfilled up to the new position
+        this.forgetPayments(chain);
+        state.lastBlock = tip;
+        state.lastBlockHash = await pool.call('getBlockHash', tip);
+        await this.saveScanState(chain);
+        return;
+      }
+
+      // The last processed block was reorged out: rescan the chain's confirmation depth
+      if (state.lastBlockHash) {
+        const hash = await pool.call('getBlockHash', state.lastBlock);
+        if (hash && hash !== state.lastBlockHash) {
+          this.rewind(chain, Math.max(state.lastBlock - blockchainService.getRequiredConfirmations(chain), 0));
+        }
+      }
+
+      while (this.isRunning && state.lastBlock < tip) {
+        const from = state.lastBlock + 1;
+        const to = Math.min(tip, from + this.maxBlocksPerScan - 1);
+
+        state.lastBlockHash = await this.scanRange(chain, from, to);
+        state.lastBlock = to;
+        await this.saveScanState(chain);
+      }
+
+      await this.scanPending(chain);
+      await this.applyTransfers(chain, tip);
+    } catch (error) {
+      console.error(`EVM watcher failed to scan ${chain}:`, error.message);
+    }
+  }
+
+  /**
+   * Match blocks from..to (inclusive) against the watched addresses, or only the given ones.
+   * Returns the hash of block `to`.
+   */
+  async scanRange(chain, from, to, watchedAddresses = this.getWatchedAddresses(chain)) {
+    const state = this.chains[chain];
+    const pool = blockchainService.getProviders(chain);
+    let lastHash = null;
+
+    // Whole blocks are only fetched while a native-currency payment is open
+    const nativeWatched = [...watchedAddresses.values()].some(watched => watched.payment.currency === state.nativeCurrency);
+    if (nativeWatched) {
+      const matches = [];
+
+      for (let start = from; start <= to; start += this.blockBatchSize) {
+        const blocks = await pool.call('getBlocks', start, Math.min(start + this.blockBatchSize - 1, to));
+
+        for (const block of blocks) {
+          lastHash = block.hash;
+
+          for (const tx of block.transactions) {
+            const watched = tx.to && watchedAddresses.get(tx.to);
+            if (!watched || watched.payment.currency !== state.nativeCurrency || BigInt(tx.value) === 0n) continue;
+
+            matches.push([watched, {
+              tx_hash: tx.tx_hash,
+              amount: tx.value,
+              block_height: block.height,
+              block_hash: block.hash,
+              block_time: block.timestamp
+            }]);
+          }
+        }
+      }
+
+      // Reverted transactions still carry their value in the block. A missing receipt only
+      // means the node answering has not indexed the block yet, so the range is retried on
+      // the next round instead of advancing past the transfer.
+      if (matches.length > 0) {
+        const succeeded = await pool.call('getTransactionStatuses', matches.map(([, transfer]) => transfer.tx_hash));
+        const unknown = matches.filter((match, i) => succeeded[i] === null || succeeded[i] === undefined);
+        if (unknown.length > 0) {
+          throw new Error(`No receipt yet for ${unknown.length} transaction(s) in blocks ${from}-${to}, retrying`);
+        }
+
+        matches.forEach(([watched, transfer], i) => {
+          if (succeeded[i]) {
+            this.addTransfer(watched, transfer);
+          }
+        });
+      }
+    }
+
+    const tokenRecipients = [...watchedAddresses.keys()]
+      .filter(address => watchedAddresses.get(address).payment.currency !== state.nativeCurrency);
+
+    for (let i = 0; i < tokenRecipients.length && state.tokens.size > 0; i += this.recipientBatchSize) {
+      const logs = await pool.call('getTransferLogs', [...state.tokens.keys()],
+        tokenRecipients.slice(i, i + this.recipientBatchSize), from, to);
+
+      // Aggregate per transaction; a batched transfer may emit several logs
+      const byTransaction = new Map();
+      for (const log of logs) {
+        const watched = watchedAddresses.get(log.to);
+        if (!watched || state.tokens.get(log.contract) !== watched.payment.currency) continue;
+
+        const key = `${watched.payment.id}:${log.tx_hash}`;
+        const existing = byTransaction.get(key);
+        if (existing) {
+          existing[1].amount = (BigInt(existing[1].amount) + BigInt(log.amount)).toString();
+          continue;
+        }
+
+        byTransaction.set(key, [watched, {
+          tx_hash: log.tx_hash,
+          amount: log.amount,
+          block_height: log.block_height,
+          block_hash: log.block_hash,
+          block_time: null
+        }]);
+      }
+
+      for (const [watched, transfer] of byTransaction.values()) {
+        this.addTransfer(watched, transfer);
+      }
+    }
+
+    return lastHash || await pool.call('getBlockHash', to);
+  }
+
+  /**
+   * Match the node's pending transactions against the watched addresses. A transaction
+   * that is neither pending nor mined any more is forgotten after pendingTtl.
+   */
+  async scanPending(chain) {
+    const state = this.chains[chain];
+    const watchedAddresses = this.getWatchedAddresses(chain);
+    if (watchedAddresses.size === 0) {
+      return;
+    }
+
+    const now = Date.now();
+
+    try {
+      const pending = await blockchainService.getProviders(chain).call('getPendingTransactions');
+
+      for (const tx of pending) {
+        const match = this.matchPendingTransaction(state, watchedAddresses, tx);
+        if (!match) continue;
+
+        const [watched, amount] = match;
+        const existing = watched.transfers.get(tx.tx_hash);
+        if (existing && existing.block_height !== null) continue;
+
+        watched.transfers.set(tx.tx_hash, {
+          tx_hash: tx.tx_hash,
+          amount,
+          block_height: null,
+          block_hash: null,
+          block_time: null,
+          seen_at: now
+        });
+      }
+    } catch (error) {
+      console.warn(`EVM watcher could not read ${chain} pending transactions:`, error.message);
+    }
+
+    for (const watched of watchedAddresses.values()) {
+      for (const [txHash, transfer] of watched.transfers) {
+        if (transfer.block_height === null && transfer.seen_at && now - transfer.seen_at > this.pendingTtl) {
+          watched.transfers.delete(txHash);
+        }
+      }
+    }
+  }
+
+  /**
+   * The watched payment a pending transaction pays and the amount in base units:
+   * a native transfer, or a registry token's transfer(address,uint256) call
+   */
+  matchPendingTransaction(state, watchedAddresses, tx) {
+    if (!tx.to) {
+      return null;
+    }
+
+    const recipient = watchedAddresses.get(tx.to);
+    if (recipient && recipient.payment.currency === state.nativeCurrency && BigInt(tx.value) > 0n) {
+      return [recipient, tx.value];
+    }
+
+    const currency = state.tokens.get(tx.to);
+    if (currency && tx.input.startsWith(TRANSFER_SELECTOR) && tx.input.length >= 138) {
+      const watched = watchedAddresses.get('0x' + tx.input.slice(34, 74).toLowerCase());
+      const amount = BigInt('0x' + tx.input.slice(74, 138));
+
+      if (watched && watched.payment.currency === currency && amount > 0n) {
+        return [watched, amount.toString()];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a matched transfer unless it predates the payment
+   */
+  addTransfer(watched, transfer) {
+    const startHeight = watched.payment.start_block_height;
+    if (startHeight !== null && startHeight !== undefined && transfer.block_height <= parseInt(startHeight)) {
+      return;
+    }
+
+    watched.transfers.set(transfer.tx_hash, transfer);
+  }
+
+  /**
+   * Recompute the status of every watched payment of a chain that has received something
+   * (or had, before a reorg) and hand it to the payment monitor
+   */
+  async applyTransfers(chain, tipHeight) {
+    for (const watched of this.payments.values()) {
+      const { payment } = watched;
+      if (watched.chain !== chain || (watched.transfers.size === 0 && payment.status === 'pending')) continue;
+
+      const result = blockchainService.buildPaymentResult(
+        payment.currency,
+        payment.address,
+        payment.amount,
+        Array.from(watched.transfers.values()),
+        blockchainService.getPaymentContext(payment, tipHeight)
+      );
+
+      try {
+        await paymentMonitorService.applyStatusResult(payment, result);
+      } catch (error) {
+        console.error(`EVM watcher failed to update payment ${payment.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Move a chain's scan position back after a reorg, dropping transfers above it
+   * so they are matched again from the canonical blocks
+   */
+  rewind(chain, height) {
+    console.warn(`⚠️ Reorg on ${chain} at block ${this.chains[chain].lastBlock}, rescanning from ${height + 1}`);
+
+    this.chains[chain].lastBlock = height;
+    this.chains[chain].lastBlockHash = null;
+
+    for (const watched of this.payments.values()) {
+      if (watched.chain !== chain) continue;
+
+      for (const [txHash, transfer] of watched.transfers) {
+        if (transfer.block_height === null || transfer.block_height > height) {
+          watched.transfers.delete(txHash);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop a chain's payments so the next refresh backfills them
+   */
+  forgetPayments(chain) {
+    for (const [id, watched] of this.payments) {
+      if (watched.chain === chain) {
+        this.payments.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Watched payments by lowercase address for one chain
+   */
+  getWatchedAddresses(chain) {
+    const addresses = new Map();
+
+    for (const watched of this.payments.values()) {
+      if (watched.chain === chain) {
+        addresses.set(watched.payment.address.toLowerCase(), watched);
+      }
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Scan position and watched payments per chain for monitoring
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [chain, state] of Object.entries(this.chains)) {
+      status[chain] = {
+        running: this.isRunning,
+        last_block: state.lastBlock,
+        watched_payments: [...this.payments.values()].filter(watched => watched.chain === chain).length
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new EvmWatcherService();
@@ -0,0 +1,58 @@
+const https = require('https');
+const axios = require('axios');
+
+/**
+ * Common plumbing for Lightning node backends.
+ *
+ * A backend implements:
+ *   createInvoice({ amountMsat, description, expiry, label }) -> { payment_request, payment_hash, expires_at }
+ *   lookupInvoice(paymentHash)                                -> { state, amount_paid_msat, settled_at }
+ *   cancelInvoice({ paymentHash, label })                     -> cancels an unpaid invoice, throws if paid
+ *   getInfo()                                                 -> { alias, network, block_height, synced }
+ *
+ * payment_hash is hex, msat amounts are strings, state is 'open', 'settled' or 'canceled'
+ * and times are unix seconds.
+ */
+class BaseLightningBackend {
+  constructor(config) {
+    this.type = config.backend;
+    this.url = config.url.replace(/\/+$/, '');
+    this.timeout = config.timeout || 10000; // ms
+
+    // Nodes serve their REST API with a self-signed certificate (LND's tls.cert)
+    this.httpsAgent = config.tlsCert
+      ? new https.Agent({ ca: this.parseCertificate(config.tlsCert) })
+      : undefined;
+
+    // URLs can embed credentials, so only the origin is ever reported
+    this.displayUrl = new URL(this.url).origin;
+  }
+
+  /**
+   * Accept a PEM certificate as is or base64 encoded (for single-line env vars)
+   */
+  parseCertificate(cert) {
+    return cert.includes('-----BEGIN') ? cert : Buffer.from(cert, 'base64').toString('utf8');
+  }
+
+  /**
+   * Call the node's REST API
+   */
+  async request(method, path, data = undefined, headers = {}) {
+    const response = await axios.request({
+      method,
+      url: `${this.url}${path}`,
+      data,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      httpsAgent: this.httpsAgent,
+      timeout: this.timeout
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = BaseLightningBackend;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const BaseLightningBackend = require('./baseBackend');
+
+/**
+ * In-process stand-in for a regtest node (LIGHTNING_BACKEND=fake), for development and tests.
+ * Invoices live in memory and are paid with settleInvoice() instead of over a channel;
+ * LIGHTNING_URL still has to be set to enable Lightning, but nothing is called.
+ */
+class FakeBackend extends BaseLightningBackend {
+  constructor(config) {
+    super(config);
+
+    // payment hash -> { label, amountMsat, description, expiresAt, state, amountPaidMsat, settledAt }
+    this.invoices = new Map();
+  }
+
+  async createInvoice({ amountMsat, description, expiry, label }) {
+    const paymentHash = crypto.createHash('sha256').update(crypto.randomBytes(32)).digest('hex');
+    const expiresAt = Math.floor(Date.now() / 1000) + expiry;
+
+    this.invoices.set(paymentHash, {
+      label,
+      amountMsat,
+      description,
+      expiresAt,
+      state: 'open',
+      amountPaidMsat: '0',
+      settledAt: null
+    });
+
+    return {
+      // Unique per invoice, but not a decodable BOLT11 string
+      payment_request: `lnbcrt1fake${paymentHash}`,
+      payment_hash: paymentHash,
+      expires_at: expiresAt
+    };
+  }
+
+  async lookupInvoice(paymentHash) {
+    const invoice = this.getInvoice(paymentHash);
+
+    // Nodes report an unpaid invoice past its expiry as canceled
+    if (invoice.state === 'open' && invoice.expiresAt <= Math.floor(Date.now() / 1000)) {
+      invoice.state = 'canceled';
+    }
+
+    return {
+      state: invoice.state,
+      amount_paid_msat: invoice.amountPaidMsat,
+      settled_at: invoice.settledAt
+    };
+  }
+
+  async cancelInvoice({ paymentHash }) {
+    const invoice = this.getInvoice(paymentHash);
+    if (invoice.state === 'settled') {
+      throw new Error(`Invoice ${paymentHash} is already paid`);
+    }
+
+    invoice.state = 'canceled';
+  }
+
+  async getInfo() {
+    return {
+      alias: 'fake',
+      network: 'regtest',
+      block_height: 0,
+      synced: true
+    };
+  }
+
+  /**
+   * Pay an open invoice, in full unless amountMsat is given
+   */
+  settleInvoice(paymentHash, amountMsat = null) {
+    const invoice = this.getInvoice(paymentHash);
+    if (invoice.state !== 'open') {
+      throw new Error(`Invoice ${paymentHash} is ${invoice.state}`);
+    }
+
+    invoice.state = 'settled';
+    invoice.amountPaidMsat = String(amountMsat || invoice.amountMsat);
+    invoice.settledAt = Math.floor(Date.now() / 1000);
+  }
+
+  getInvoice(paymentHash) {
+    const invoice = this.invoices.get(paymentHash);
+    if (!invoice) {
+      throw new Error(`Invoice ${paymentHash} not found`);
+    }
+
+    return invoice;
+  }
+}
+
+module.exports = FakeBackend;
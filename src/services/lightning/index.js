@@ -0,0 +1,27 @@
+const LndBackend = require('./lndBackend');
+const ClnBackend = require('./clnBackend');
+const FakeBackend = require('./fakeBackend');
+
+// Backend implementations by LIGHTNING_BACKEND
+const backendTypes = {
+  'lnd': LndBackend,
+  'cln': ClnBackend,
+  'fake': FakeBackend
+};
+
+/**
+ * Instantiate the Lightning backend from its configuration
+ */
+const createLightningBackend = (config) => {
+  const Backend = backendTypes[config.backend];
+  if (!Backend) {
+    throw new Error(`Unknown Lightning backend "${config.backend}", expected one of: ${Object.keys(backendTypes).join(', ')}`);
+  }
+
+  return new Backend(config);
+};
+
+module.exports = {
+  backendTypes,
+  createLightningBackend
+};
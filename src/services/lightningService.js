@@ -0,0 +1,127 @@
+const { LIGHTNING } = require('../config/environment');
+const { createLightningBackend } = require('./lightning');
+const blockchainService = require('./blockchainService');
+
+/**
+ * BTC payments over Lightning: BOLT11 invoices issued by the processor's own node
+ * (LND or Core Lightning, see services/lightning) instead of an on-chain address.
+ * A settled invoice is final, so its check result goes straight to 'paid' and runs
+ * through the payment monitor's usual status and callback pipeline.
+ */
+class LightningService {
+  constructor() {
+    this.backend = LIGHTNING.url ? createLightningBackend(LIGHTNING) : null;
+  }
+
+  /**
+   * Whether a Lightning node is configured
+   */
+  isEnabled() {
+    return this.backend !== null;
+  }
+
+  /**
+   * Issue an invoice for a BTC amount that expires with the payment.
+   * Returns { payment_request, payment_hash }.
+   */
+  async createInvoice(paymentId, amount, description, expiresAt) {
+    const sats = blockchainService.toBaseUnits(amount, blockchainService.getDecimals('BTC'));
+    const expiry = Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 60);
+
+    const invoice = await this.backend.createInvoice({
+      amountMsat: (sats * 1000n).toString(),
+      description,
+      expiry,
+      label: paymentId
+    });
+
+    return {
+      payment_request: invoice.payment_request,
+      payment_hash: invoice.payment_hash
+    };
+  }
+
+  /**
+   * Cancel a payment's invoice on the node so it can no longer be paid. An invoice that
+   * already expired counts as cancelled; throws when it was paid or the node cannot be reached.
+   */
+  async cancelInvoice(payment) {
+    if (!this.backend) {
+      throw new Error('Lightning payments are not enabled');
+    }
+
+    try {
+      await this.backend.cancelInvoice({ paymentHash: payment.payment_hash, label: payment.id });
+    } catch (error) {
+      const invoice = await this.backend.lookupInvoice(payment.payment_hash);
+      if (invoice.state !== 'canceled') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Check a Lightning payment's invoice. The result has the shape of
+   * blockchainService.checkPaymentStatus, with the payment hash as its only
+   * transaction once settled.
+   */
+  async checkInvoice(payment) {
+    try {
+      const invoice = await this.backend.lookupInvoice(payment.payment_hash);
+
+      // Millisatoshis below a satoshi cannot be represented in the payment amount
+      const transactions = invoice.state === 'settled'
+        ? [{
+          tx_hash: payment.payment_hash,
+          amount: (BigInt(invoice.amount_paid_msat) / 1000n).toString(),
+          block_height: null,
+          block_hash: null,
+          block_time: invoice.settled_at
+        }]
+        : [];
+
+      return blockchainService.buildPaymentResult(payment.currency, payment.address, payment.amount, transactions, {
+        network: payment.network,
+        chain: 'BTC',
+        tipHeight: null,
+        tolerance: blockchainService.getTolerance(payment),
+        requiredConfirmations: 0
+      });
+    } catch (error) {
+      console.error(`Error checking Lightning invoice of payment ${payment.id}:`, error.message);
+      return {
+        status: 'error',
+        error: error.message,
+        currency: payment.currency,
+        network: payment.network
+      };
+    }
+  }
+
+  /**
+   * Backend and node state, for monitoring
+   */
+  async getStatus() {
+    if (!this.backend) {
+      return { enabled: false };
+    }
+
+    try {
+      return {
+        enabled: true,
+        backend: this.backend.type,
+        url: this.backend.displayUrl,
+        ...await this.backend.getInfo()
+      };
+    } catch (error) {
+      return {
+        enabled: true,
+        backend: this.backend.type,
+        url: this.backend.displayUrl,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new LightningService();
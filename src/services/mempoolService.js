@@ -0,0 +1,265 @@
+const { createClient } = require('@supabase/supabase-js');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, ZMQ_ENDPOINTS } = require('../config/environment');
+const blockchainService = require('./blockchainService');
+const paymentMonitorService = require('./paymentMonitorService');
+const walletService = require('./walletService');
+const BaseProvider = require('./providers/baseProvider');
+const { UTXO_CHAINS } = require('../config/utxoChains');
+
+// Initialize Supabase client
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+// UTXO networks watched for unconfirmed transactions
+const MEMPOOL_NETWORKS = Object.values(UTXO_CHAINS).map(({ network }) => network);
+
+/**
+ * Spots unconfirmed BTC, LTC, DOGE and BCH payments within seconds instead of on the payment
+ * monitor's next 30 second round.
+ *
+ * Open payments are polled through the Esplora mempool endpoint of their address or, when
+ * BTC_ZMQ_URL / LTC_ZMQ_URL / DOGE_ZMQ_URL / BCH_ZMQ_URL point at a local node, matched
+ * against its rawtx ZMQ feed instead. A new transaction triggers an immediate status check with the
+ * transaction counted, so the payment turns 'detected' (or settles, for zero-conf payments).
+ */
+class MempoolService {
+  constructor() {
+    this.isRunning = false;
+    this.pollInterval = 10 * 1000; // 10 seconds
+
+    // payment id -> { payment, chain, seen: Set(tx_hash) }
+    this.payments = new Map();
+
+    // receive address -> watched payment, for matching ZMQ transactions
+    this.addresses = new Map();
+
+    // chain -> zeromq subscriber
+    this.zmqSockets = {};
+  }
+
+  /**
+   * Start the mempool watcher
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('Mempool watcher is already running');
+      return;
+    }
+
+    console.log('🚀 Starting mempool watcher...');
+    this.isRunning = true;
+
+    for (const [chain, url] of Object.entries(ZMQ_ENDPOINTS)) {
+      if (url) {
+        this.subscribeZmq(chain, url);
+      }
+    }
+
+    this.pollLoop();
+  }
+
+  /**
+   * Stop the mempool watcher
+   */
+  stop() {
+    console.log('🛑 Stopping mempool watcher...');
+    this.isRunning = false;
+
+    for (const socket of Object.values(this.zmqSockets)) {
+      socket.close();
+    }
+    this.zmqSockets = {};
+  }
+
+  /**
+   * Main polling loop
+   */
+  async pollLoop() {
+    while (this.isRunning) {
+      try {
+        await this.refreshPayments();
+        await this.pollMempool();
+      } catch (error) {
+        console.error('Mempool watcher error:', error);
+      }
+
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Reload the payments still waiting for funds
+   */
+  async refreshPayments() {
+    const now = new Date().toISOString();
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .in('network', MEMPOOL_NETWORKS)
+      .eq('method', 'onchain')
+      .or([
+        'status.in.(reorged,double_spent)',
+        `and(status.eq.pending,expires_at.gt."${now}")`,
+        `and(status.eq.underpaid,topup_expires_at.gt."${now}")`
+      ].join(','));
+
+    if (error) {
+      console.error('Mempool watcher failed to load payments:', error);
+      return;
+    }
+
+    const open = new Map();
+    for (const payment of payments || []) {
+      const watched = this.payments.get(payment.id) || {
+        chain: blockchainService.getChain(payment.currency, payment.network),
+        seen: new Set()
+      };
+      watched.payment = payment;
+      open.set(payment.id, watched);
+    }
+
+    this.payments = open;
+    this.addresses = new Map([...open.values()].map(watched => [watched.payment.address, watched]));
+  }
+
+  /**
+   * Ask the Esplora providers for the mempool transactions of every watched address
+   * on chains without a ZMQ feed
+   */
+  async pollMempool() {
+    for (const watched of this.payments.values()) {
+      if (this.zmqSockets[watched.chain]) continue;
+
+      const pool = blockchainService.getProviders(watched.chain);
+      if (pool.rank('getMempoolTransactions').length === 0) continue;
+
+      try {
+        const transactions = await pool.call('getMempoolTransactions', watched.payment.address);
+
+        for (const tx of transactions) {
+          await this.handleTransaction(watched, tx);
+        }
+      } catch (error) {
+        console.warn(`Mempool check failed for payment ${watched.payment.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the rawtx feed of a local node (bitcoind -zmqpubrawtx=tcp://127.0.0.1:28332).
+   * Polling takes over for the chain if the feed cannot be opened or fails.
+   */
+  subscribeZmq(chain, url) {
+    let zmq;
+    try {
+      zmq = require('zeromq');
+    } catch (error) {
+      console.error(`${chain}_ZMQ_URL is set but the optional zeromq package is not installed, polling instead`);
+      return;
+    }
+
+    const socket = new zmq.Subscriber();
+    socket.connect(url);
+    socket.subscribe('rawtx');
+    this.zmqSockets[chain] = socket;
+
+    console.log(`📡 Listening for ${chain} mempool transactions on ${url}`);
+
+    (async () => {
+      try {
+        for await (const [, rawTx] of socket) {
+          await this.handleRawTransaction(chain, rawTx);
+        }
+      } catch (error) {
+        if (this.isRunning) {
+          console.error(`${chain} ZMQ feed failed, polling instead:`, error.message);
+        }
+      }
+
+      delete this.zmqSockets[chain];
+    })();
+  }
+
+  /**
+   * Match the outputs of a raw transaction from a ZMQ feed against the watched addresses
+   */
+  async handleRawTransaction(chain, rawTx) {
+    let decoded;
+    try {
+      decoded = walletService.decodeUtxoTransaction(chain, rawTx);
+    } catch (error) {
+      console.warn(`Could not decode ${chain} transaction from ZMQ:`, error.message);
+      return;
+    }
+
+    // Sum the outputs per payment; a transaction may pay one address several times
+    const amounts = new Map();
+    for (const output of decoded.outputs) {
+      const watched = this.addresses.get(output.address);
+      if (watched && watched.chain === chain) {
+        amounts.set(watched, (amounts.get(watched) || 0n) + output.value);
+      }
+    }
+
+    for (const [watched, amount] of amounts) {
+      await this.handleTransaction(watched, {
+        tx_hash: decoded.txid,
+        amount: amount.toString(),
+        block_height: null,
+        block_hash: null,
+        block_time: null,
+        ...BaseProvider.describeInputs(decoded.inputs)
+      });
+    }
+  }
+
+  /**
+   * Check a payment right away when a transaction to it shows up for the first time
+   */
+  async handleTransaction(watched, tx) {
+    const { payment } = watched;
+    if (watched.seen.has(tx.tx_hash)) {
+      return;
+    }
+    watched.seen.add(tx.tx_hash);
+
+    console.log(`👀 Mempool transaction ${tx.tx_hash} for payment ${payment.id}`);
+
+    const result = await blockchainService.checkPaymentStatus(payment, [tx]);
+    if (result.status === 'error') {
+      // Retried when the transaction is seen again
+      watched.seen.delete(tx.tx_hash);
+      return;
+    }
+
+    await paymentMonitorService.applyStatusResult(payment, result);
+
+    // Keep the local copy current until the next refresh so a top-up is compared against it
+    watched.payment = {
+      ...payment,
+      status: result.status,
+      actual_amount: result.balance,
+      confirmations: result.confirmations
+    };
+  }
+
+  /**
+   * Watched payments and how each chain is followed, for monitoring
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      watched_payments: this.payments.size,
+      zmq: Object.keys(this.zmqSockets)
+    };
+  }
+
+  /**
+   * Sleep utility
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new MempoolService();
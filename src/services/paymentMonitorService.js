@@ -1,7 +1,12 @@
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const { Redis } = require('@upstash/redis');
 const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
 const blockchainService = require('./blockchainService');
+const lightningService = require('./lightningService');
+const paymentService = require('./paymentService');
+const priceService = require('./priceService');
+const websocketService = require('./websocketService');
 
 // Initialize Supabase client
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
@@ -17,6 +22,24 @@ class PaymentMonitorService {
     this.isRunning = false;
     this.checkInterval = 30 * 1000; // 30 seconds
     this.maxRetries = 3;
+    this.reorgWatchWindow = 6 * 60 * 60 * 1000; // keep verifying paid payments for 6 hours
+    this.openBatchSize = 50; // open payments checked per round
+    this.reorgWatchBatchSize = 50; // settled payments re-verified per round, on top of the open ones
+    this.quorumAuditTtl = 24 * 60 * 60; // seconds an unchanged provider disagreement is not re-audited
+
+    // Networks whose open payments evmWatcherService follows block by block instead;
+    // settled ones are still polled here for reorgs
+    this.blockWatchedNetworks = new Set();
+
+    // Merchant callback event sent when a payment enters each status
+    this.callbackEvents = {
+      detected: 'payment.detected',
+      confirming: 'payment.confirming',
+      underpaid: 'payment.underpaid',
+      paid: 'payment.paid',
+      overpaid: 'payment.overpaid',
+      expired: 'payment.expired'
+    };
   }
 
   /**
@@ -63,7 +86,7 @@ class PaymentMonitorService {
   }
 
   /**
-   * Check all pending payments
+   * Check all pending and confirming payments, and recently paid ones for reorgs
    */
   async checkPendingPayments() {
     try {
@@ -75,21 +98,53 @@ class PaymentMonitorService {
         return;
       }
 
-      // Get all pending payments that haven't expired
-      const { data: payments, error } = await supabase
+      const now = new Date();
+      const reorgWatchStart = new Date(now.getTime() - this.reorgWatchWindow);
+      const unwatched = this.blockWatchedNetworks.size > 0
+        ? `,network.not.in.(${[...this.blockWatchedNetworks].join(',')})`
+        : '';
+      const onchain = `,method.eq.onchain${unwatched}`;
+
+      // Get pending payments that haven't expired, underpaid payments inside their top-up window,
+      // funded payments still gaining confirmations, reorged payments waiting to be re-mined
+      // and double-spent payments waiting for new funds.
+      // Lightning invoices are checked until they settle or expire (past expires_at too, until
+      // cleanup_expired_payments catches up, so a last-second settlement is not missed).
+      const { data: openPayments, error } = await supabase
         .from('payments')
         .select('*')
-        .eq('status', 'pending')
-        .gt('expires_at', new Date().toISOString())
+        .or([
+          `and(status.in.(detected,confirming,reorged,double_spent)${onchain})`,
+          `and(status.eq.pending,expires_at.gt."${now.toISOString()}"${onchain})`,
+          `and(status.eq.underpaid,topup_expires_at.gt."${now.toISOString()}"${onchain})`,
+          'and(status.eq.pending,method.eq.lightning)'
+        ].join(','))
         .order('created_at', { ascending: true })
-        .limit(50); // Process in batches
+        .limit(this.openBatchSize);
 
       if (error) {
         console.error('Error fetching pending payments:', error);
         return;
       }
 
-      if (!payments || payments.length === 0) {
+      // Settled payments still inside the reorg window, most recent first, in a batch of their
+      // own so a busy day of sales cannot crowd open invoices out of the round
+      const { data: settledPayments, error: settledError } = await supabase
+        .from('payments')
+        .select('*')
+        .in('status', ['paid', 'overpaid'])
+        .eq('method', 'onchain')
+        .gt('paid_at', reorgWatchStart.toISOString())
+        .order('paid_at', { ascending: false })
+        .limit(this.reorgWatchBatchSize);
+
+      if (settledError) {
+        console.error('Error fetching settled payments for reorg checks:', settledError);
+      }
+
+      const payments = [...(openPayments || []), ...(settledPayments || [])];
+
+      if (payments.length === 0) {
         console.log('📭 No pending payments to check');
         return;
       }
@@ -124,31 +179,254 @@ class PaymentMonitorService {
       console.log(`🔎 Checking payment ${payment.id} (${payment.currency} ${payment.amount})`);
 
       // Check payment status on blockchain
-      const statusResult = await blockchainService.checkPaymentStatus(
-        payment.currency,
-        payment.address,
-        payment.amount
-      );
+      const statusResult = await this.checkPaymentStatus(payment);
 
       // Update cache
       await redis.setex(cacheKey, 60, Date.now().toString());
 
-      // If status changed, update database
-      if (statusResult.status !== 'pending' && statusResult.status !== payment.status) {
-        await this.updatePaymentStatus(payment, statusResult);
+      if (statusResult.status === 'error') {
+        return;
       }
 
+      await this.applyStatusResult(payment, statusResult);
+
     } catch (error) {
       console.error(`Error checking payment ${payment.id}:`, error);
     }
   }
 
+  /**
+   * Check a payment on its chain, or its invoice on the Lightning node
+   */
+  async checkPaymentStatus(payment) {
+    return payment.method === 'lightning'
+      ? await lightningService.checkInvoice(payment)
+      : await blockchainService.checkPaymentStatus(payment);
+  }
+
+  /**
+   * Apply a blockchain check result to a payment
+   */
+  async applyStatusResult(payment, statusResult) {
+    // Transactions we counted may have been orphaned since the last poll
+    const orphaned = await this.findOrphanedTransactions(payment, statusResult.transactions);
+    if (orphaned.length > 0) {
+      await this.handleReorg(payment, statusResult, orphaned);
+      payment = { ...payment, status: 'reorged', confirmations: 0 };
+    }
+
+    await this.recordTransactions(payment, statusResult.transactions);
+
+    // Unconfirmed BTC/LTC transactions we counted may have been replaced by ones spending
+    // the same inputs; a zero-conf settlement is undone when the funds are gone
+    const conflicts = await this.checkDoubleSpends(payment, statusResult);
+    statusResult = conflicts.statusResult;
+    if (conflicts.doubleSpent.length > 0) {
+      if (['pending', 'underpaid'].includes(statusResult.status)) {
+        await this.handleDoubleSpend(payment, statusResult, conflicts.doubleSpent);
+        payment = { ...payment, status: 'double_spent', confirmations: 0 };
+      } else {
+        await this.logPaymentEvent(payment.id, 'double_spend', {
+          status: payment.status,
+          double_spent_transactions: this.describeDoubleSpends(conflicts.doubleSpent)
+        });
+      }
+    }
+
+    // Settled payments are only watched for reorgs and double spends
+    if (['paid', 'overpaid'].includes(payment.status)) {
+      return;
+    }
+
+    // Funds first seen after the rate lock expired are valued at a fresh quote, not the stale one
+    if (this.isFundedAfterRateLock(payment, statusResult)) {
+      const requoted = await this.requoteLatePayment(payment, statusResult);
+      if (!requoted) {
+        return;
+      }
+      ({ payment, statusResult } = requoted);
+    }
+
+    // High-value payments only settle once enough independent providers agree
+    if (['paid', 'overpaid'].includes(statusResult.status) && payment.verification_quorum > 1) {
+      statusResult = await this.applyQuorum(payment, statusResult);
+    }
+
+    // If status or confirmation depth changed, update database
+    if (this.hasProgressed(payment, statusResult)) {
+      await this.updatePaymentStatus(payment, statusResult);
+    }
+  }
+
+  /**
+   * Whether a pending fiat-priced payment received its first funds after its rate lock
+   * expired. A transaction counts from its block time, or from now while unconfirmed.
+   * Lightning invoices fix the amount for their lifetime, so they are never re-quoted.
+   */
+  isFundedAfterRateLock(payment, statusResult) {
+    if (payment.status !== 'pending' || payment.method === 'lightning' || !payment.fiat_amount ||
+        statusResult.transactions.length === 0) {
+      return false;
+    }
+
+    const fundedAt = Math.min(...statusResult.transactions.map(tx => (tx.block_time ? tx.block_time * 1000 : Date.now())));
+    return priceService.isRateExpired(payment, new Date(fundedAt));
+  }
+
+  /**
+   * Re-quote a payment funded after its rate lock expired and measure the funds against
+   * the new amount, so they settle, or leave it underpaid with a top-up window.
+   * Returns null when no rate is available; the payment is then retried next check.
+   */
+  async requoteLatePayment(payment, statusResult) {
+    let quote;
+    try {
+      quote = await priceService.quote(payment.currency, parseFloat(payment.fiat_amount), payment.fiat_currency);
+    } catch (error) {
+      console.warn(`⚠️ Payment ${payment.id} was funded after its rate lock expired and cannot be re-quoted yet: ${error.message}`);
+      return null;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('payments')
+      .update({
+        amount: quote.amount,
+        exchange_rate: quote.exchange_rate,
+        rate_expires_at: quote.rate_expires_at,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payment.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    if (!updated || updated.length === 0) {
+      console.warn(`⚠️ Payment ${payment.id} is no longer pending, not re-quoting it`);
+      return null;
+    }
+
+    await priceService.recordQuote(payment.id, quote);
+    await this.logPaymentEvent(payment.id, 'requote', {
+      previous_amount: payment.amount,
+      amount: quote.amount,
+      previous_exchange_rate: payment.exchange_rate,
+      exchange_rate: quote.exchange_rate,
+      rate_expired_at: payment.rate_expires_at
+    });
+
+    console.log(`♻️ Payment ${payment.id} funded after its rate lock expired, re-quoted from ${payment.amount} to ${quote.amount} ${payment.currency}`);
+
+    payment = {
+      ...payment,
+      amount: quote.amount,
+      exchange_rate: quote.exchange_rate,
+      rate_expires_at: quote.rate_expires_at
+    };
+
+    return {
+      payment,
+      statusResult: blockchainService.excludeTransactions(payment, statusResult, [])
+    };
+  }
+
+  /**
+   * Re-check a settling payment with every provider of its chain. Without
+   * verification_quorum agreeing providers it is held in 'confirming'.
+   */
+  async applyQuorum(payment, statusResult) {
+    const verification = await blockchainService.verifyQuorum(payment, statusResult, payment.verification_quorum);
+
+    if (verification.responses.some(response => !response.agrees)) {
+      await this.recordQuorumAudit(payment, statusResult, verification);
+    }
+
+    if (verification.passed) {
+      return statusResult;
+    }
+
+    console.warn(`⚠️ Payment ${payment.id} held at confirming: ${verification.agreed} of ${verification.total} ${verification.chain} providers agree, ${verification.required} required`);
+    return { ...statusResult, status: 'confirming' };
+  }
+
+  /**
+   * Record a quorum check in which a provider disagreed or failed, for review.
+   * A disagreement that persists across polls is only recorded again once the
+   * providers' answers change.
+   */
+  async recordQuorumAudit(payment, statusResult, verification) {
+    const key = `quorum_audit:${payment.id}`;
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify(verification.responses.map(({ provider, agrees, status, balance, error }) => [provider, agrees, status, balance, error])))
+      .digest('hex');
+
+    try {
+      const last = await redis.get(key);
+      if (last && last.fingerprint === fingerprint) {
+        return;
+      }
+
+      const { error } = await supabase
+        .from('payment_quorum_audits')
+        .insert({
+          payment_id: payment.id,
+          chain: verification.chain,
+          required: verification.required,
+          agreed: verification.agreed,
+          total: verification.total,
+          passed: verification.passed,
+          expected: {
+            status: statusResult.status,
+            balance: statusResult.balance,
+            confirmations: statusResult.confirmations,
+            transactions: statusResult.transactions.map(tx => ({ tx_hash: tx.tx_hash, amount: tx.amount }))
+          },
+          responses: verification.responses
+        });
+
+      if (error) {
+        console.error(`Failed to record quorum audit for payment ${payment.id}:`, error);
+        return;
+      }
+
+      await redis.setex(key, this.quorumAuditTtl, JSON.stringify({ fingerprint }));
+      console.warn(`⚠️ Providers disagree on payment ${payment.id}: ${verification.agreed} of ${verification.total} agree`);
+    } catch (error) {
+      console.error(`Error recording quorum audit for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Whether a check result differs from what is stored for the payment
+   */
+  hasProgressed(payment, statusResult) {
+    // A reorged payment waits for its transaction to be mined again, a double-spent one for new funds
+    if (['reorged', 'double_spent'].includes(payment.status) && statusResult.status === 'pending') {
+      return false;
+    }
+
+    if (statusResult.status !== payment.status) {
+      return true;
+    }
+
+    // A top-up that still leaves the payment short changes the received amount
+    if (statusResult.status === 'underpaid') {
+      return statusResult.balance !== (parseFloat(payment.actual_amount) || 0);
+    }
+
+    return statusResult.status === 'confirming' &&
+      statusResult.confirmations !== (payment.confirmations || 0);
+  }
+
   /**
    * Update payment status in database
    */
   async updatePaymentStatus(payment, statusResult) {
     try {
-      console.log(`📝 Updating payment ${payment.id} status: ${payment.status} -> ${statusResult.status}`);
+      const statusChanged = statusResult.status !== payment.status;
+
+      console.log(`📝 Updating payment ${payment.id} status: ${payment.status} -> ${statusResult.status} (${statusResult.confirmations || 0} confirmations)`);
 
       const updateData = {
         status: statusResult.status,
@@ -159,20 +437,40 @@ class PaymentMonitorService {
       };
 
       // If payment is marked as paid, add paid_at timestamp
-      if (statusResult.status === 'paid') {
+      if (['paid', 'overpaid'].includes(statusResult.status)) {
         updateData.paid_at = new Date().toISOString();
       }
 
-      const { error } = await supabase
+      // The payer gets at least underpayment_window seconds to top up a short payment
+      if (statusResult.status === 'underpaid' && !payment.topup_expires_at) {
+        const windowEnd = Date.now() + (payment.underpayment_window || 0) * 1000;
+        updateData.topup_expires_at = new Date(Math.max(new Date(payment.expires_at).getTime(), windowEnd)).toISOString();
+      }
+
+      // Only from the status this check started from: a cancellation, a checkout selection or
+      // another watcher may have moved the payment on since it was loaded
+      const { data: updated, error } = await supabase
         .from('payments')
         .update(updateData)
-        .eq('id', payment.id);
+        .eq('id', payment.id)
+        .eq('status', payment.status)
+        .select('id');
 
       if (error) {
         console.error(`Failed to update payment ${payment.id}:`, error);
         return;
       }
 
+      if (!updated || updated.length === 0) {
+        console.warn(`⚠️ Payment ${payment.id} is no longer ${payment.status}, not moving it to ${statusResult.status}`);
+        return;
+      }
+
+      // Confirmation progress only needs the row update
+      if (!statusChanged) {
+        return;
+      }
+
       // Log the status change
       await this.logPaymentEvent(payment.id, 'status_change', {
         old_status: payment.status,
@@ -181,9 +479,19 @@ class PaymentMonitorService {
         tx_hash: statusResult.tx_hash
       });
 
-      // Trigger callback if payment is now paid
-      if (statusResult.status === 'paid' && payment.callback_url) {
-        await this.triggerPaymentCallback(payment, statusResult);
+      // Close the checkout session the payment was selected from
+      if (['paid', 'overpaid'].includes(statusResult.status) && payment.checkout_session_id) {
+        await this.completeCheckoutSession(payment);
+      }
+
+      // Checkout pages learn about a mempool transaction without waiting for their next poll
+      if (statusResult.status === 'detected') {
+        this.broadcastDetected(payment, statusResult);
+      }
+
+      // Notify the merchant when funds are seen and again once they are final
+      if (payment.callback_url && this.callbackEvents[statusResult.status]) {
+        await this.triggerPaymentCallback(payment, statusResult, this.callbackEvents[statusResult.status]);
       }
 
       console.log(`✅ Payment ${payment.id} status updated to ${statusResult.status}`);
@@ -193,23 +501,359 @@ class PaymentMonitorService {
     }
   }
 
+  /**
+   * Send a payment.detected event to the payment's and the merchant's WebSocket channels
+   */
+  broadcastDetected(payment, statusResult) {
+    const message = {
+      type: this.callbackEvents.detected,
+      data: {
+        payment_id: payment.id,
+        order_id: payment.order_id,
+        currency: payment.currency,
+        network: payment.network,
+        status: statusResult.status,
+        amount: statusResult.balance,
+        expected_amount: payment.amount,
+        tx_hash: statusResult.tx_hash,
+        required_confirmations: statusResult.requiredConfirmations
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    websocketService.broadcastToChannel(`payment:${payment.id}`, message);
+    websocketService.broadcastToChannel(`merchant:${payment.merchant_id}`, message);
+  }
+
+  /**
+   * Find recorded confirmed transactions that are no longer in the canonical chain:
+   * the tx now sits in a different block or back in the mempool, or (when the API
+   * no longer lists it) the block at its height has a different hash.
+   */
+  async findOrphanedTransactions(payment, currentTransactions) {
+    if (!['detected', 'confirming', 'underpaid', 'paid', 'overpaid'].includes(payment.status)) {
+      return [];
+    }
+
+    const { data: recorded, error } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .not('block_hash', 'is', null);
+
+    if (error) {
+      console.error(`Failed to load transactions for payment ${payment.id}:`, error);
+      return [];
+    }
+
+    const current = new Map((currentTransactions || []).map(tx => [tx.tx_hash, tx]));
+    const orphaned = [];
+
+    for (const tx of recorded || []) {
+      const seen = current.get(tx.tx_hash);
+
+      if (seen) {
+        if (seen.block_height === null || (seen.block_hash && seen.block_hash !== tx.block_hash)) {
+          orphaned.push(tx);
+        }
+        continue;
+      }
+
+      const canonicalHash = await blockchainService.getBlockHash(
+        blockchainService.getChain(payment.currency, payment.network),
+        parseInt(tx.block_height)
+      );
+      if (canonicalHash && canonicalHash !== tx.block_hash) {
+        orphaned.push(tx);
+      }
+    }
+
+    return orphaned;
+  }
+
+  /**
+   * Move a payment back to 'reorged' after its transactions were orphaned
+   * and send the merchant a compensating notification
+   */
+  async handleReorg(payment, statusResult, orphaned) {
+    try {
+      console.warn(`⚠️ Reorg detected for payment ${payment.id}: ${orphaned.map(tx => tx.tx_hash).join(', ')}`);
+
+      const { error } = await supabase
+        .from('payments')
+        .update({
+          status: 'reorged',
+          confirmations: 0,
+          paid_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id);
+
+      if (error) {
+        console.error(`Failed to mark payment ${payment.id} as reorged:`, error);
+        return;
+      }
+
+      // The orphaned block data is stale; the next detection fills it in again if re-mined
+      await supabase
+        .from('payment_transactions')
+        .update({
+          block_height: null,
+          block_hash: null,
+          orphaned_at: new Date().toISOString()
+        })
+        .eq('payment_id', payment.id)
+        .in('tx_hash', orphaned.map(tx => tx.tx_hash));
+
+      const orphanedTransactions = orphaned.map(tx => ({
+        tx_hash: tx.tx_hash,
+        block_height: tx.block_height,
+        block_hash: tx.block_hash
+      }));
+
+      await this.logPaymentEvent(payment.id, 'reorg', {
+        old_status: payment.status,
+        new_status: 'reorged',
+        orphaned_transactions: orphanedTransactions
+      });
+
+      if (payment.callback_url) {
+        await this.triggerPaymentCallback(payment, {
+          ...statusResult,
+          status: 'reorged',
+          confirmations: 0,
+          orphaned_transactions: orphanedTransactions
+        }, 'payment.reorged');
+      }
+    } catch (error) {
+      console.error(`Error handling reorg for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Look up the spenders of the inputs of every unconfirmed transaction recorded for a
+   * BTC/LTC payment. A transaction whose inputs another transaction spends can no longer
+   * confirm: it was replaced (RBF) or double-spent. A replacement that is itself listed
+   * for the address is a fee bump; any other is a double spend. Conflicted transactions
+   * are dropped from the result.
+   * Returns { statusResult, doubleSpent } with the transactions newly found double-spent.
+   */
+  async checkDoubleSpends(payment, statusResult) {
+    const chain = blockchainService.getChain(payment.currency, payment.network);
+    if (!blockchainService.supportsOutspends(chain)) {
+      return { statusResult, doubleSpent: [] };
+    }
+
+    const { data: unconfirmed, error } = await supabase
+      .from('payment_transactions')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .is('block_hash', null)
+      .not('inputs', 'is', null);
+
+    if (error) {
+      console.error(`Failed to load unconfirmed transactions for payment ${payment.id}:`, error);
+      return { statusResult, doubleSpent: [] };
+    }
+
+    const listed = new Set(statusResult.transactions.map(tx => tx.tx_hash));
+    const conflicted = [];
+    const doubleSpent = [];
+
+    for (const tx of unconfirmed || []) {
+      if (!tx.replaced_by) {
+        try {
+          const spenders = await blockchainService.getOutspends(chain, tx.inputs);
+          tx.replaced_by = spenders.find(txid => txid && txid !== tx.tx_hash) || null;
+        } catch (error) {
+          console.warn(`Double-spend check failed for transaction ${tx.tx_hash}:`, error.message);
+          continue;
+        }
+
+        if (!tx.replaced_by) continue;
+
+        const isDoubleSpend = !listed.has(tx.replaced_by);
+        await this.markReplaced(payment, tx, isDoubleSpend);
+        if (isDoubleSpend) {
+          doubleSpent.push(tx);
+        }
+      }
+
+      conflicted.push(tx.tx_hash);
+    }
+
+    // A provider may still list a transaction another one already replaced
+    if (statusResult.transactions.some(tx => conflicted.includes(tx.tx_hash))) {
+      statusResult = blockchainService.excludeTransactions(payment, statusResult, conflicted);
+    }
+
+    return { statusResult, doubleSpent };
+  }
+
+  /**
+   * Record the transaction that replaced one of a payment's transactions
+   */
+  async markReplaced(payment, tx, isDoubleSpend) {
+    console.warn(`⚠️ Transaction ${tx.tx_hash} of payment ${payment.id} was ${isDoubleSpend ? 'double-spent' : 'replaced'} by ${tx.replaced_by}`);
+
+    const { error } = await supabase
+      .from('payment_transactions')
+      .update({
+        replaced_by: tx.replaced_by,
+        double_spent_at: isDoubleSpend ? new Date().toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', tx.id);
+
+    if (error) {
+      console.error(`Failed to mark transaction ${tx.tx_hash} as replaced:`, error);
+    }
+  }
+
+  /**
+   * Move a payment to 'double_spent' after transactions it counted were double-spent
+   * and send the merchant a compensating notification
+   */
+  async handleDoubleSpend(payment, statusResult, doubleSpent) {
+    try {
+      console.warn(`⚠️ Double spend detected for payment ${payment.id}: ${doubleSpent.map(tx => tx.tx_hash).join(', ')}`);
+
+      const { error } = await supabase
+        .from('payments')
+        .update({
+          status: 'double_spent',
+          confirmations: 0,
+          actual_amount: statusResult.balance,
+          paid_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id);
+
+      if (error) {
+        console.error(`Failed to mark payment ${payment.id} as double-spent:`, error);
+        return;
+      }
+
+      const doubleSpentTransactions = this.describeDoubleSpends(doubleSpent);
+
+      await this.logPaymentEvent(payment.id, 'double_spend', {
+        old_status: payment.status,
+        new_status: 'double_spent',
+        double_spent_transactions: doubleSpentTransactions
+      });
+
+      if (payment.callback_url) {
+        await this.triggerPaymentCallback(payment, {
+          ...statusResult,
+          status: 'double_spent',
+          confirmations: 0,
+          double_spent_transactions: doubleSpentTransactions
+        }, 'payment.double_spent');
+      }
+    } catch (error) {
+      console.error(`Error handling double spend for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Double-spent transactions as reported to merchants
+   */
+  describeDoubleSpends(doubleSpent) {
+    return doubleSpent.map(tx => ({
+      tx_hash: tx.tx_hash,
+      amount: parseFloat(tx.amount),
+      rbf: tx.rbf,
+      replaced_by: tx.replaced_by
+    }));
+  }
+
+  /**
+   * Record the incoming transactions detected for a payment.
+   * Upserting keeps block data current as mempool txs confirm.
+   */
+  async recordTransactions(payment, transactions) {
+    if (!transactions || transactions.length === 0) {
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('payment_transactions')
+        .upsert(transactions.map(tx => ({
+          payment_id: payment.id,
+          tx_hash: tx.tx_hash,
+          amount: tx.amount,
+          block_height: tx.block_height,
+          block_hash: tx.block_hash,
+          block_time: tx.block_time ? new Date(tx.block_time * 1000).toISOString() : null,
+          rbf: tx.rbf ?? null,
+          inputs: tx.inputs ?? null,
+          orphaned_at: null,
+          updated_at: new Date().toISOString()
+        })), { onConflict: 'payment_id,tx_hash' });
+
+      if (error) {
+        console.error(`Failed to record transactions for payment ${payment.id}:`, error);
+      }
+    } catch (error) {
+      console.error(`Error recording transactions for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Mark a checkout session completed once one of its payments is paid, and cancel its
+   * other selections that are still waiting for funds
+   */
+  async completeCheckoutSession(payment) {
+    try {
+      await paymentService.cancelOtherSessionPayments(payment.checkout_session_id, payment.id);
+
+      const { error } = await supabase
+        .from('checkout_sessions')
+        .update({
+          status: 'completed',
+          completed_payment_id: payment.id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.checkout_session_id)
+        .eq('status', 'open');
+
+      if (error) {
+        console.error(`Failed to complete checkout session ${payment.checkout_session_id}:`, error);
+      }
+    } catch (error) {
+      console.error(`Error completing checkout session ${payment.checkout_session_id}:`, error);
+    }
+  }
+
   /**
    * Trigger payment callback
    */
-  async triggerPaymentCallback(payment, statusResult) {
+  async triggerPaymentCallback(payment, statusResult, event) {
     try {
-      console.log(`📞 Triggering callback for payment ${payment.id}`);
+      console.log(`📞 Triggering ${event} callback for payment ${payment.id}`);
 
       const callbackData = {
+        event,
         payment_id: payment.id,
         order_id: payment.order_id,
         amount: statusResult.balance || payment.amount,
         currency: payment.currency,
+        network: payment.network,
+        chain_id: payment.chain_id,
+        method: payment.method,
         status: statusResult.status,
         tx_hash: statusResult.tx_hash,
         address: payment.address,
+        ...(payment.reference && { reference: payment.reference }),
         confirmations: statusResult.confirmations || 0,
-        paid_at: new Date().toISOString()
+        required_confirmations: statusResult.requiredConfirmations,
+        expected_amount: payment.amount,
+        outstanding_amount: statusResult.outstandingAmount || 0,
+        excess_amount: statusResult.excessAmount || 0,
+        ...(statusResult.orphaned_transactions && { orphaned_transactions: statusResult.orphaned_transactions }),
+        ...(statusResult.double_spent_transactions && { double_spent_transactions: statusResult.double_spent_transactions }),
+        ...(['paid', 'overpaid'].includes(statusResult.status) && { paid_at: new Date().toISOString() })
       };
 
       const response = await fetch(payment.callback_url, {
@@ -237,7 +881,12 @@ class PaymentMonitorService {
    */
   async cleanupExpiredPayments() {
     try {
-      const expiredCount = await supabase.rpc('cleanup_expired_payments');
+      await this.expireUnderpaidPayments();
+
+      const { data: expiredCount, error } = await supabase.rpc('cleanup_expired_payments');
+      if (error) {
+        throw error;
+      }
 
       if (expiredCount > 0) {
         console.log(`🧹 Cleaned up ${expiredCount} expired payments`);
@@ -247,6 +896,39 @@ class PaymentMonitorService {
     }
   }
 
+  /**
+   * Expire underpaid payments whose top-up window has closed, with a payment.expired callback
+   * carrying what was received and what is still outstanding. cleanup_expired_payments would
+   * expire them too, but cannot notify the merchant.
+   */
+  async expireUnderpaidPayments() {
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('status', 'underpaid')
+      .lt('topup_expires_at', new Date().toISOString())
+      .limit(this.openBatchSize);
+
+    if (error) {
+      console.error('Error fetching underpaid payments past their top-up window:', error);
+      return;
+    }
+
+    for (const payment of payments || []) {
+      const decimals = blockchainService.getDecimals(payment.currency, payment.network);
+      const expected = blockchainService.toBaseUnits(payment.amount, decimals);
+      const received = blockchainService.toBaseUnits(payment.actual_amount || 0, decimals);
+
+      await this.updatePaymentStatus(payment, {
+        status: 'expired',
+        balance: parseFloat(payment.actual_amount) || 0,
+        confirmations: payment.confirmations,
+        tx_hash: payment.tx_hash,
+        outstandingAmount: blockchainService.fromBaseUnits(expected > received ? expected - received : 0n, decimals)
+      });
+    }
+  }
+
   /**
    * Log payment event for debugging
    */
@@ -274,7 +956,7 @@ class PaymentMonitorService {
       const { data: stats, error } = await supabase
         .from('payments')
         .select('status, currency')
-        .in('status', ['pending', 'paid', 'expired', 'cancelled']);
+        .in('status', ['pending', 'detected', 'confirming', 'underpaid', 'reorged', 'double_spent', 'paid', 'overpaid', 'expired', 'cancelled']);
 
       if (error) {
         throw error;
@@ -283,7 +965,13 @@ class PaymentMonitorService {
       const summary = {
         total: stats.length,
         pending: stats.filter(p => p.status === 'pending').length,
+        detected: stats.filter(p => p.status === 'detected').length,
+        confirming: stats.filter(p => p.status === 'confirming').length,
+        underpaid: stats.filter(p => p.status === 'underpaid').length,
+        reorged: stats.filter(p => p.status === 'reorged').length,
+        double_spent: stats.filter(p => p.status === 'double_spent').length,
         paid: stats.filter(p => p.status === 'paid').length,
+        overpaid: stats.filter(p => p.status === 'overpaid').length,
         expired: stats.filter(p => p.status === 'expired').length,
         cancelled: stats.filter(p => p.status === 'cancelled').length,
         by_currency: {}
@@ -295,7 +983,13 @@ class PaymentMonitorService {
           summary.by_currency[payment.currency] = {
             total: 0,
             pending: 0,
+            detected: 0,
+            confirming: 0,
+            underpaid: 0,
+            reorged: 0,
+            double_spent: 0,
             paid: 0,
+            overpaid: 0,
             expired: 0,
             cancelled: 0
           };
@@ -352,24 +1046,23 @@ class PaymentMonitorService {
         throw error;
       }
 
-      if (payment.status !== 'pending') {
-        return { message: `Payment ${paymentId} is not pending (status: ${payment.status})` };
+      if (!['pending', 'detected', 'confirming', 'underpaid', 'reorged', 'double_spent'].includes(payment.status)) {
+        return { message: `Payment ${paymentId} is not being monitored (status: ${payment.status})` };
       }
 
-      const statusResult = await blockchainService.checkPaymentStatus(
-        payment.currency,
-        payment.address,
-        payment.amount
-      );
+      const statusResult = await this.checkPaymentStatus(payment);
 
-      if (statusResult.status !== 'pending') {
-        await this.updatePaymentStatus(payment, statusResult);
+      if (statusResult.status === 'error') {
+        throw new Error(statusResult.error);
       }
 
+      await this.applyStatusResult(payment, statusResult);
+
       return {
         message: `Payment ${paymentId} checked`,
         status: statusResult.status,
-        balance: statusResult.balance
+        balance: statusResult.balance,
+        confirmations: statusResult.confirmations
       };
 
     } catch (error) {
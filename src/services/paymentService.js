@@ -0,0 +1,514 @@
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = require('../config/environment');
+const { getNetworks, getDefaultNetwork } = require('../config/tokens');
+const { getEvmChain } = require('../config/evmChains');
+const walletService = require('./walletService');
+const priceService = require('./priceService');
+const blockchainService = require('./blockchainService');
+const lightningService = require('./lightningService');
+
+// Initialize Supabase client
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+class PaymentService {
+  constructor() {
+    this.defaultUnderpaymentWindow = 3600; // seconds a payer has to top up an underpaid invoice
+    this.gapWarningThreshold = 15; // warn this close to walletService.gapLimit
+
+    // Networks whose payments carry a Solana Pay reference and can share the merchant's
+    // deposit address, where they are matched by that reference
+    this.referenceNetworks = ['solana'];
+  }
+
+  /**
+   * Create a payment row with a fresh receive address.
+   * Either amount (crypto units) or fiat_amount + fiat_currency must be given;
+   * network picks where a token is paid and defaults per currency; method 'lightning'
+   * issues a BOLT11 invoice for a BTC payment instead of deriving an address.
+   * use_deposit_address sends the payment to the merchant's deposit address with a unique
+   * reference; it defaults to whether the merchant has set one for the network.
+   * Throws errors carrying a statusCode for the route to relay.
+   */
+  async createPayment(merchantId, params) {
+    const {
+      fiat_amount,
+      fiat_currency,
+      currency,
+      network: requestedNetwork,
+      order_id,
+      description,
+      expires_at,
+      callback_url,
+      metadata,
+      checkout_session_id,
+      tolerance,
+      underpayment_window,
+      address_type,
+      use_deposit_address,
+      method = 'onchain'
+    } = params;
+    let { amount } = params;
+
+    const network = requestedNetwork || getDefaultNetwork(currency);
+    if (!getNetworks(currency).includes(network)) {
+      throw this.createError(`${currency} is not supported on ${network}, use one of: ${getNetworks(currency).join(', ')}`, 400);
+    }
+
+    const merchant = await this.getMerchantSettings(merchantId);
+
+    if (method === 'lightning' && !lightningService.isEnabled()) {
+      throw this.createError('Lightning payments are not enabled, set LIGHTNING_URL', 400);
+    }
+
+    // Fiat-denominated invoices are converted at a locked exchange rate
+    let quote = null;
+    if (fiat_amount) {
+      try {
+        quote = await priceService.quote(currency, fiat_amount, fiat_currency);
+        amount = quote.amount;
+      } catch (quoteError) {
+        console.error('Exchange rate quote error:', quoteError.message);
+        throw this.createError('Exchange rate unavailable, please retry', 503);
+      }
+    }
+
+    // Generate unique payment ID
+    const paymentId = uuidv4();
+
+    // Snapshot the tolerance and settlement rules so later merchant changes don't affect open invoices
+    const settings = this.resolvePaymentSettings(merchant, currency, tolerance, underpayment_window, address_type);
+
+    let derived = {};
+    let invoice = {};
+    let reference = null;
+    let sharedAddress = false;
+    let startBlockHeight = null;
+
+    if (method === 'lightning') {
+      // A settled invoice is final: no address, confirmations or provider quorum
+      settings.address_type = null;
+      invoice = await this.createLightningInvoice(paymentId, amount, description || `Order ${order_id}`, expires_at);
+    } else {
+      const depositAddress = this.resolveDepositAddress(merchant, network, use_deposit_address);
+      Object.assign(settings, await this.resolveSettlementRules(merchant, currency, network, Boolean(depositAddress), amount, quote));
+
+      if (depositAddress) {
+        // Payments to the shared address are told apart by their reference, not their balance
+        derived = { address: depositAddress, addressType: null };
+        sharedAddress = true;
+      } else {
+        // Addresses come from the merchant's own key; the processor never holds private keys
+        derived = await this.generateAddress(merchantId, currency, network, settings.address_type, checkout_session_id);
+      }
+      settings.address_type = derived.addressType;
+
+      if (this.referenceNetworks.includes(network)) {
+        reference = walletService.generatePaymentReference();
+      }
+
+      // Only transactions mined after this height count towards the payment
+      startBlockHeight = await blockchainService.getBlockHeight(blockchainService.getChain(currency, network));
+    }
+
+    // A checkout session creates one payment per selected currency for the same order
+    if (checkout_session_id) {
+      settings.order_id_unique = false;
+    }
+
+    // Create payment record in database
+    const { data, error: dbError } = await supabase
+      .from('payments')
+      .insert({
+        id: paymentId,
+        merchant_id: merchantId,
+        amount,
+        currency,
+        network,
+        chain_id: getEvmChain(network)?.chainId ?? null,
+        method,
+        order_id,
+        description,
+        address: derived.address ?? null,
+        payment_request: invoice.payment_request ?? null,
+        payment_hash: invoice.payment_hash ?? null,
+        reference,
+        shared_address: sharedAddress,
+        wallet_key_id: derived.walletKeyId,
+        address_index: derived.index,
+        derivation_path: derived.path,
+        status: 'pending',
+        start_block_height: startBlockHeight,
+        expires_at,
+        callback_url,
+        metadata,
+        checkout_session_id,
+        ...settings,
+        ...(quote && {
+          fiat_amount: quote.fiat_amount,
+          fiat_currency: quote.fiat_currency,
+          exchange_rate: quote.exchange_rate,
+          rate_expires_at: quote.rate_expires_at
+        }),
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (dbError) {
+      // An invoice without a payment row could still be paid, and the funds never recorded
+      if (invoice.payment_hash) {
+        await lightningService.cancelInvoice({ id: paymentId, payment_hash: invoice.payment_hash })
+          .catch(cancelError => console.error(`Failed to cancel Lightning invoice of unsaved payment ${paymentId}:`, cancelError.message));
+      }
+
+      // Unique violation on idx_payments_unique_order_id
+      if (dbError.code === '23505') {
+        throw this.createError(`A payment for order ${order_id} is already in progress`, 409);
+      }
+      console.error('Database error:', dbError);
+      throw this.createError('Failed to create payment', 500);
+    }
+
+    if (quote) {
+      await priceService.recordQuote(data.id, quote);
+    }
+
+    return data;
+  }
+
+  /**
+   * Issue the Lightning invoice of a payment on the configured node
+   */
+  async createLightningInvoice(paymentId, amount, description, expiresAt) {
+    try {
+      return await lightningService.createInvoice(paymentId, amount, description, expiresAt);
+    } catch (invoiceError) {
+      console.error('Lightning invoice error:', invoiceError.message);
+      throw this.createError('Failed to create Lightning invoice, please retry', 502);
+    }
+  }
+
+  /**
+   * The merchant settings a new payment snapshots. The API key only proves who signed it,
+   * so this also rejects a merchant that was deleted or deactivated since.
+   */
+  async getMerchantSettings(merchantId) {
+    const { data: merchant, error } = await supabase
+      .from('merchants')
+      .select('is_active, tolerance_percent, tolerance_amounts, underpayment_window, unique_order_ids, address_types, deposit_addresses, quorum_threshold, quorum_fiat_currency, quorum_providers, zero_conf_threshold, zero_conf_fiat_currency, zero_conf_reject_rbf')
+      .eq('id', merchantId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw this.createError('Merchant not found', 404);
+      }
+      console.error('Merchant settings fetch error:', error);
+      throw this.createError('Failed to load merchant settings', 500);
+    }
+
+    if (merchant.is_active === false) {
+      throw this.createError('Merchant account is inactive', 403);
+    }
+
+    return merchant;
+  }
+
+  /**
+   * Merge per-payment tolerance and address type overrides with the merchant's defaults
+   * and snapshot whether the merchant enforces unique order ids
+   */
+  resolvePaymentSettings(merchant, currency, tolerance, underpaymentWindow, addressType) {
+    const settings = {
+      tolerance_percent: parseFloat(merchant?.tolerance_percent) || 0,
+      tolerance_amount: parseFloat(merchant?.tolerance_amounts?.[currency]) || 0,
+      underpayment_window: merchant?.underpayment_window ?? this.defaultUnderpaymentWindow,
+      order_id_unique: Boolean(merchant?.unique_order_ids),
+      address_type: addressType || merchant?.address_types?.[currency] || null
+    };
+
+    if (tolerance) {
+      settings.tolerance_percent = tolerance.percent || 0;
+      settings.tolerance_amount = tolerance.amount || 0;
+    }
+
+    if (underpaymentWindow !== undefined) {
+      settings.underpayment_window = underpaymentWindow;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Deposit address of the merchant a payment is sent to by reference, or null when it
+   * gets an address of its own
+   */
+  resolveDepositAddress(merchant, network, useDepositAddress) {
+    if (useDepositAddress === false) {
+      return null;
+    }
+
+    if (!this.referenceNetworks.includes(network)) {
+      if (useDepositAddress) {
+        throw this.createError(`Deposit address payments are only supported on: ${this.referenceNetworks.join(', ')}`, 400);
+      }
+      return null;
+    }
+
+    const depositAddress = merchant?.deposit_addresses?.[network] || null;
+    if (useDepositAddress && !depositAddress) {
+      throw this.createError(`No deposit address set for ${network}, set deposit_addresses.${network} first`, 400);
+    }
+
+    return depositAddress;
+  }
+
+  /**
+   * How the payment settles, from the merchant's value thresholds:
+   * - verification_quorum: providers that must agree on it, the merchant's quorum_providers
+   *   once it is worth more than quorum_threshold (in quorum_fiat_currency), otherwise 1;
+   *   capped at the providers able to list the payment's transfers on its chain
+   * - zero_conf: whether it settles on an unconfirmed transaction, when it is worth less than
+   *   zero_conf_threshold (in zero_conf_fiat_currency) and needs no quorum
+   * - zero_conf_reject_rbf: whether zero-conf settlement waits for a confirmation when a
+   *   transaction signals BIP125 replaceability, from the merchant's setting
+   * A payment that cannot be valued gets the quorum and no zero-confirmation settlement.
+   */
+  async resolveSettlementRules(merchant, currency, network, sharedAddress, amount, quote) {
+    const rules = { verification_quorum: 1, zero_conf: false, zero_conf_reject_rbf: false };
+
+    if (!merchant) {
+      return rules;
+    }
+
+    if (merchant.quorum_threshold !== null && merchant.quorum_threshold !== undefined) {
+      const value = await this.getFiatValue(currency, amount, quote, merchant.quorum_fiat_currency || 'USD');
+      if (value === null || value > parseFloat(merchant.quorum_threshold)) {
+        const capacity = blockchainService.getQuorumCapacity(currency, network, sharedAddress);
+        if (capacity < merchant.quorum_providers) {
+          console.warn(`Only ${capacity} ${currency} provider(s) on ${network} can verify payments, lowering quorum from ${merchant.quorum_providers}`);
+        }
+        rules.verification_quorum = Math.min(merchant.quorum_providers, capacity);
+      }
+    }
+
+    if (merchant.zero_conf_threshold !== null && merchant.zero_conf_threshold !== undefined && rules.verification_quorum === 1) {
+      const value = await this.getFiatValue(currency, amount, quote, merchant.zero_conf_fiat_currency || 'USD');
+      rules.zero_conf = value !== null && value < parseFloat(merchant.zero_conf_threshold);
+      rules.zero_conf_reject_rbf = rules.zero_conf && Boolean(merchant.zero_conf_reject_rbf);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Value of a crypto amount in fiatCurrency, from the payment's quote when it has one
+   * in that currency; null when no exchange rate is available
+   */
+  async getFiatValue(currency, amount, quote, fiatCurrency) {
+    if (quote && quote.fiat_currency === fiatCurrency) {
+      return parseFloat(quote.fiat_amount);
+    }
+
+    try {
+      return parseFloat(amount) * await priceService.getPrice(currency, fiatCurrency);
+    } catch (error) {
+      console.warn(`Cannot value ${currency} payment in ${fiatCurrency}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Derive a watch-only receive address from the merchant's extended public key
+   * at the next allocated index. Tokens use the key of their network. Without an
+   * addressType, UTXO chains use the merchant's keys in walletService.addressTypePreference order.
+   * A checkout session's selection reuses the address of one the session cancelled.
+   */
+  async generateAddress(merchantId, currency, network, addressType = null, checkoutSessionId = null) {
+    const chain = walletService.getKeyChain(currency, network);
+    if (!chain) {
+      throw this.createError(`${currency} addresses on ${network} cannot be derived from a merchant key yet`, 400);
+    }
+
+    const { data: wallets, error } = await supabase
+      .from('merchant_wallet_keys')
+      .select('id, chain, extended_public_key, public_keys, script_type, derivation_path, account')
+      .eq('merchant_id', merchantId)
+      .eq('chain', chain);
+
+    if (error) {
+      console.error('Wallet key fetch error:', error);
+      throw this.createError('Failed to load wallet key', 500);
+    }
+
+    if (!wallets || wallets.length === 0) {
+      throw this.createError(`No ${chain} key registered, add one with PUT /api/wallet/${merchantId}/keys/${chain}`, 400);
+    }
+
+    // Only UTXO chains offer a choice of address types; other chains have one key
+    const isUtxo = walletService.isUtxoChain(chain);
+    const wallet = !isUtxo
+      ? wallets[0]
+      : addressType
+        ? wallets.find(w => w.script_type === addressType)
+        : walletService.addressTypePreference
+          .map(type => wallets.find(w => w.script_type === type))
+          .find(Boolean);
+
+    if (!wallet) {
+      throw this.createError(`No ${chain} extended public key registered for ${addressType} addresses`, 400);
+    }
+
+    const index = await this.allocateAddressIndex(wallet, checkoutSessionId);
+
+    try {
+      const { address, path } = walletService.deriveWatchOnlyAddress(wallet, index);
+      return { address, path, index, walletKeyId: wallet.id, addressType: isUtxo ? wallet.script_type : null };
+    } catch (deriveError) {
+      console.error('Address derivation error:', deriveError);
+      throw this.createError('Failed to derive payment address', 500);
+    }
+  }
+
+  /**
+   * Atomically reserve an address index for a wallet key, reusing addresses of
+   * expired or cancelled invoices that never received funds, first those of the given
+   * checkout session. Solana keys are capped at the size of their registered address pool.
+   */
+  async allocateAddressIndex(wallet, checkoutSessionId = null, recycle = true) {
+    const { data, error } = await supabase.rpc('allocate_address_index', {
+      p_wallet_key_id: wallet.id,
+      p_index_limit: wallet.public_keys ? wallet.public_keys.length : null,
+      p_recycle: recycle,
+      p_checkout_session_id: checkoutSessionId
+    });
+
+    if (error && /address pool exhausted/.test(error.message)) {
+      throw this.createError(`All ${wallet.public_keys.length} registered ${wallet.chain} addresses are in use, register more accounts`, 409);
+    }
+
+    if (error || !data || data.length === 0) {
+      console.error('Address index allocation error:', error);
+      throw this.createError('Failed to allocate payment address', 500);
+    }
+
+    const { allocated_index, recycled_from, unused_gap } = data[0];
+
+    if (recycled_from) {
+      // Funds sent after expiry are never recorded, so only the chain can tell the address is unused
+      if (!(await this.isRecycledAddressUnused(recycled_from))) {
+        console.warn(`⚠️ Not reusing ${wallet.chain} address index ${allocated_index}: ` +
+          `payment ${recycled_from} received funds after it closed or could not be checked`);
+        return this.allocateAddressIndex(wallet, checkoutSessionId, false);
+      }
+
+      console.log(`♻️ Reusing ${wallet.chain} address index ${allocated_index} from closed payment ${recycled_from}`);
+    }
+
+    if (unused_gap >= this.gapWarningThreshold) {
+      console.warn(`⚠️ ${wallet.chain} key ${wallet.id} has ${unused_gap} consecutive unused addresses ` +
+        `(gap limit ${walletService.gapLimit}); wallets may not discover funds beyond it`);
+    }
+
+    return allocated_index;
+  }
+
+  /**
+   * Index after the highest one a wallet key already issued addresses at, found by
+   * deriving the addresses of the merchant's payments on the key's derivation path.
+   * A key registered again after being replaced or removed resumes from there, since
+   * its old payments lost their wallet_key_id with the key row.
+   */
+  async getIssuedIndexEnd(merchantId, wallet) {
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('address, address_index')
+      .eq('merchant_id', merchantId)
+      .like('derivation_path', `${wallet.derivation_path}/%`)
+      .not('address_index', 'is', null)
+      .order('address_index', { ascending: false });
+
+    if (error) {
+      console.error('Issued address lookup error:', error);
+      throw this.createError('Failed to look up issued addresses', 500);
+    }
+
+    const derived = new Map();
+    for (const payment of payments || []) {
+      if (!derived.has(payment.address_index)) {
+        let address = null;
+        try {
+          address = walletService.deriveWatchOnlyAddress(wallet, payment.address_index).address;
+        } catch (deriveError) {
+          // Past the end of a Solana pool: not one of this key's addresses
+        }
+        derived.set(payment.address_index, address);
+      }
+
+      if (derived.get(payment.address_index) === payment.address) {
+        return payment.address_index + 1;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Whether the address of an expired or cancelled payment has received nothing of the
+   * payment's currency since the payment was created. An address that cannot be checked
+   * counts as used; it stays marked as recycled, so it is not offered again.
+   */
+  async isRecycledAddressUnused(paymentId) {
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', paymentId)
+      .single();
+
+    if (error) {
+      console.error(`Failed to load closed payment ${paymentId}:`, error);
+      return false;
+    }
+
+    const result = await blockchainService.checkPaymentStatus(payment);
+
+    return result.status !== 'error' && result.transactions.length === 0;
+  }
+
+  /**
+   * Cancel a checkout session's unfunded selections other than keepPaymentId, so the payer
+   * cannot pay the same order twice. Returns the ids of the cancelled payments.
+   */
+  async cancelOtherSessionPayments(sessionId, keepPaymentId) {
+    const { data, error } = await supabase
+      .from('payments')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .eq('checkout_session_id', sessionId)
+      .eq('status', 'pending')
+      .neq('id', keepPaymentId)
+      .or('actual_amount.is.null,actual_amount.eq.0')
+      .select('id');
+
+    if (error) {
+      console.error(`Failed to cancel other payments of checkout session ${sessionId}:`, error);
+      return [];
+    }
+
+    return (data || []).map(payment => payment.id);
+  }
+
+  /**
+   * Build an error the routes can map to an HTTP status
+   */
+  createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new PaymentService();
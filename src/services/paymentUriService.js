@@ -0,0 +1,94 @@
+const QRCode = require('qrcode');
+const { getToken } = require('../config/tokens');
+const { getEvmChain } = require('../config/evmChains');
+const { getUtxoChain } = require('../config/utxoChains');
+const blockchainService = require('./blockchainService');
+const solanaPayService = require('./solanaPayService');
+
+/**
+ * Wallet-ready payment URIs and their QR codes, with the amount already in the format
+ * each wallet standard expects:
+ * - BIP21 for UTXO chains: bitcoin:<address>?amount=<decimal>
+ * - EIP-681 for EVM chains: ethereum:<address>@<chainId>?value=<wei>, or for tokens
+ *   ethereum:<contract>@<chainId>/transfer?address=<address>&uint256=<base units>
+ * - Solana Pay transfer requests for solana (see solanaPayService)
+ * - BOLT11 lightning:<invoice> for Lightning payments
+ * Tron has no common URI scheme, so its payments have none and their QR code holds the address.
+ */
+class PaymentUriService {
+  constructor() {
+    this.qrFormats = ['png', 'svg'];
+    this.defaultQrSize = 256; // px
+  }
+
+  /**
+   * Payment URI of a payment, or null when its network has no URI scheme
+   */
+  async getPaymentUri(payment) {
+    if (payment.method === 'lightning') {
+      return payment.payment_request ? `lightning:${payment.payment_request}` : null;
+    }
+
+    const utxo = getUtxoChain(payment.currency);
+    if (utxo && utxo.network === payment.network) {
+      // CashAddr addresses carry the scheme already
+      const target = payment.address.startsWith(`${utxo.uriScheme}:`)
+        ? payment.address
+        : `${utxo.uriScheme}:${payment.address}`;
+      return `${target}?amount=${this.formatAmount(payment)}`;
+    }
+
+    const evm = getEvmChain(payment.network);
+    if (evm) {
+      const token = getToken(payment.currency, payment.network);
+      const units = this.getBaseUnits(payment).toString();
+
+      return token
+        ? `ethereum:${token.contract}@${evm.chainId}/transfer?address=${payment.address}&uint256=${units}`
+        : `ethereum:${payment.address}@${evm.chainId}?value=${units}`;
+    }
+
+    const solanaPay = await solanaPayService.getPaymentLinks(payment);
+    return solanaPay ? solanaPay.url : null;
+  }
+
+  /**
+   * Render a payment's URI (its address when it has none) as a QR code.
+   * Returns { contentType, body } with body a PNG buffer or an SVG string.
+   */
+  async renderQrCode(payment, format = 'png', size = this.defaultQrSize) {
+    const content = await this.getPaymentUri(payment) || payment.address;
+    const options = { width: size, margin: 2, errorCorrectionLevel: 'M' };
+
+    if (format === 'svg') {
+      return {
+        contentType: 'image/svg+xml',
+        body: await QRCode.toString(content, { ...options, type: 'svg' })
+      };
+    }
+
+    return {
+      contentType: 'image/png',
+      body: await QRCode.toBuffer(content, { ...options, type: 'png' })
+    };
+  }
+
+  /**
+   * Payment amount in the base units of its currency on its network
+   */
+  getBaseUnits(payment) {
+    return blockchainService.toBaseUnits(payment.amount, blockchainService.getDecimals(payment.currency, payment.network));
+  }
+
+  /**
+   * Payment amount as an exact decimal, rounded to the decimals of its currency
+   */
+  formatAmount(payment) {
+    return blockchainService.formatBaseUnits(
+      this.getBaseUnits(payment),
+      blockchainService.getDecimals(payment.currency, payment.network)
+    );
+  }
+}
+
+module.exports = new PaymentUriService();
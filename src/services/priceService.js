@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { createClient } = require('@supabase/supabase-js');
+const { Redis } = require('@upstash/redis');
+const {
+  SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY,
+  PRICE_API_URL,
+  COINGECKO_API_KEY,
+  RATE_LOCK_SECONDS
+} = require('../config/environment');
+
+// Initialize Supabase client
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+// Initialize Redis
+const redis = new Redis({
+  url: process.env.UPSTASH_REDIS_REST_URL,
+  token: process.env.UPSTASH_REDIS_REST_TOKEN,
+});
+
+class PriceService {
+  constructor() {
+    // CoinGecko asset ids for each supported currency
+    this.assetIds = {
+      BTC: 'bitcoin',
+      LTC: 'litecoin',
+      DOGE: 'dogecoin',
+      BCH: 'bitcoin-cash',
+      ETH: 'ethereum',
+      BNB: 'binancecoin',
+      POL: 'polygon-ecosystem-token',
+      TRX: 'tron',
+      SOL: 'solana',
+      USDT: 'tether',
+      USDC: 'usd-coin'
+    };
+
+    this.fiatCurrencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY'];
+
+    // Decimals used when quoting crypto amounts (capped so payers see sensible figures)
+    this.quoteDecimals = {
+      BTC: 8,
+      LTC: 8,
+      DOGE: 8,
+      BCH: 8,
+      ETH: 8,
+      BNB: 8,
+      POL: 8,
+      TRX: 6,
+      SOL: 9,
+      USDT: 6,
+      USDC: 6
+    };
+
+    this.cacheTtl = 60; // seconds
+    this.rateLockSeconds = RATE_LOCK_SECONDS;
+  }
+
+  /**
+   * Get the price of one unit of currency in fiatCurrency
+   */
+  async getPrice(currency, fiatCurrency = 'USD') {
+    const assetId = this.assetIds[currency];
+    if (!assetId) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    const fiat = fiatCurrency.toLowerCase();
+    const cacheKey = `price:${currency}:${fiatCurrency}`;
+
+    try {
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        return parseFloat(cached);
+      }
+    } catch (error) {
+      console.warn('Price cache read failed:', error.message);
+    }
+
+    const response = await axios.get(`${PRICE_API_URL}/simple/price`, {
+      params: { ids: assetId, vs_currencies: fiat },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Lightweight-Crypto-Payment-Processor/1.0',
+        ...(COINGECKO_API_KEY && { 'x-cg-demo-api-key': COINGECKO_API_KEY })
+      }
+    });
+
+    const price = response.data?.[assetId]?.[fiat];
+    if (!price || price <= 0) {
+      throw new Error(`No ${fiatCurrency} price available for ${currency}`);
+    }
+
+    try {
+      await redis.setex(cacheKey, this.cacheTtl, price.toString());
+    } catch (error) {
+      console.warn('Price cache write failed:', error.message);
+    }
+
+    return price;
+  }
+
+  /**
+   * Quote a fiat amount in crypto and lock the rate for rateLockSeconds
+   */
+  async quote(currency, fiatAmount, fiatCurrency) {
+    const rate = await this.getPrice(currency, fiatCurrency);
+    const decimals = this.quoteDecimals[currency] || 8;
+    const amount = Number((fiatAmount / rate).toFixed(decimals));
+
+    if (amount <= 0) {
+      throw new Error(`Fiat amount is too small to quote in ${currency}`);
+    }
+
+    const quotedAt = new Date();
+
+    return {
+      amount,
+      currency,
+      fiat_amount: fiatAmount,
+      fiat_currency: fiatCurrency,
+      exchange_rate: rate,
+      rate_source: 'coingecko',
+      quoted_at: quotedAt.toISOString(),
+      rate_expires_at: new Date(quotedAt.getTime() + this.rateLockSeconds * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Append a quote to the payment's rate history for accounting
+   */
+  async recordQuote(paymentId, quote) {
+    const { error } = await supabase
+      .from('payment_rate_quotes')
+      .insert({
+        payment_id: paymentId,
+        currency: quote.currency,
+        amount: quote.amount,
+        fiat_amount: quote.fiat_amount,
+        fiat_currency: quote.fiat_currency,
+        exchange_rate: quote.exchange_rate,
+        rate_source: quote.rate_source,
+        quoted_at: quote.quoted_at,
+        expires_at: quote.rate_expires_at
+      });
+
+    if (error) {
+      console.error(`Failed to record rate quote for payment ${paymentId}:`, error);
+    }
+  }
+
+  /**
+   * Check whether a payment's locked rate has expired, now or at the given time
+   */
+  isRateExpired(payment, at = new Date()) {
+    return Boolean(payment.rate_expires_at) && new Date(payment.rate_expires_at) <= at;
+  }
+}
+
+module.exports = new PriceService();
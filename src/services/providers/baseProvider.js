@@ -0,0 +1,127 @@
+const axios = require('axios');
+
+// An input sequence below 0xfffffffe signals BIP125 replaceability
+const RBF_SEQUENCE_LIMIT = 0xfffffffe;
+
+/**
+ * Common plumbing for blockchain data providers.
+ *
+ * A provider implements any of:
+ *   getBlockHeight()                                  -> tip height (slot for Solana)
+ *   getBlockHash(height)                              -> canonical block hash or null
+ *   getAddressTransactions(address, startHeight)      -> incoming native transfers
+ *   getTokenTransfers(token, address, startHeight)    -> incoming transfers of a registry token
+ *   getMempoolTransactions(address)                   -> incoming native transfers not yet mined
+ *   getOutspends(outpoints)                           -> txid spending each 'txid:vout' (null if unspent)
+ *   getReferenceTransfers(reference, recipient, token, startHeight)
+ *                                                     -> incoming transfers tagged with a payment reference
+ *   getTransaction(txHash)                            -> raw transaction details
+ *   getLatestBlockhash()                              -> blockhash new Solana transactions reference
+ *
+ * Transfers are { tx_hash, amount (base units as a string), block_height, block_hash, block_time },
+ * with a null block_height while unconfirmed, and only include blocks above startHeight.
+ * UTXO providers add { rbf, inputs }: whether the transaction signals BIP125 replaceability
+ * and the 'txid:vout' outpoints it spends.
+ */
+class BaseProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.type = config.type;
+    this.url = config.url.replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.priority = config.priority ?? 100; // lower runs first
+    this.timeout = config.timeout || 10000; // ms
+
+    // URLs can embed credentials or API keys, so only the origin is ever reported
+    this.displayUrl = new URL(this.url).origin;
+  }
+
+  /**
+   * Whether this provider implements a method of the provider interface
+   */
+  supports(method) {
+    return typeof this[method] === 'function';
+  }
+
+  /**
+   * RBF flag and spent outpoints of a UTXO transaction from its inputs ({ txid, vout, sequence })
+   */
+  static describeInputs(inputs) {
+    return {
+      rbf: inputs.some(input => input.sequence < RBF_SEQUENCE_LIMIT),
+      inputs: inputs.map(input => `${input.txid}:${input.vout}`)
+    };
+  }
+
+  /**
+   * GET a JSON resource relative to the provider URL
+   */
+  async get(path, params = {}, headers = {}) {
+    const response = await axios.get(`${this.url}${path}`, {
+      params,
+      headers: {
+        'User-Agent': 'Lightweight-Crypto-Payment-Processor/1.0',
+        ...headers
+      },
+      timeout: this.timeout
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Make a JSON-RPC call against the provider URL
+   */
+  async rpcCall(method, params) {
+    const response = await axios.post(this.url, {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout
+    });
+
+    if (response.data.error) {
+      throw new Error(`${method} failed: ${response.data.error.message}`);
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Make several JSON-RPC calls in one batch request; results come back in call order
+   */
+  async rpcBatch(calls) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const response = await axios.post(this.url, calls.map(([method, params], id) => ({
+      jsonrpc: '2.0',
+      id,
+      method,
+      params
+    })), {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout
+    });
+
+    if (!Array.isArray(response.data)) {
+      throw new Error(`Batch request failed: ${response.data?.error?.message || 'unexpected response'}`);
+    }
+
+    const results = new Array(calls.length);
+    for (const reply of response.data) {
+      if (reply.error) {
+        throw new Error(`${calls[reply.id][0]} failed: ${reply.error.message}`);
+      }
+      results[reply.id] = reply.result;
+    }
+
+    return results;
+  }
+}
+
+module.exports = BaseProvider;
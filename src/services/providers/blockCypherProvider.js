@@ -0,0 +1,62 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * BlockCypher REST API; url is the chain root, e.g. https://api.blockcypher.com/v1/btc/main
+ */
+class BlockCypherProvider extends BaseProvider {
+  get(path, params = {}) {
+    return super.get(path, {
+      ...params,
+      ...(this.apiKey && { token: this.apiKey })
+    });
+  }
+
+  async getBlockHeight() {
+    const data = await this.get('');
+    return data.height;
+  }
+
+  async getBlockHash(height) {
+    const data = await this.get(`/blocks/${height}`, { txstart: 0, limit: 1 });
+    return data.hash;
+  }
+
+  /**
+   * List incoming transactions from the address endpoint
+   */
+  async getAddressTransactions(address, startHeight) {
+    const data = await this.get(`/addrs/${address}`, { limit: 50 });
+    const txrefs = [...(data.unconfirmed_txrefs || []), ...(data.txrefs || [])];
+    const byHash = new Map();
+
+    // Outputs paying the address have tx_input_n === -1; one tx may pay it several times
+    for (const ref of txrefs) {
+      if (ref.tx_input_n !== -1) continue;
+
+      const blockHeight = ref.block_height > 0 ? ref.block_height : null;
+      if (blockHeight !== null && blockHeight <= startHeight) continue;
+
+      const existing = byHash.get(ref.tx_hash);
+      if (existing) {
+        existing.amount = (BigInt(existing.amount) + BigInt(ref.value)).toString();
+        continue;
+      }
+
+      byHash.set(ref.tx_hash, {
+        tx_hash: ref.tx_hash,
+        amount: BigInt(ref.value).toString(),
+        block_height: blockHeight,
+        block_hash: null,
+        block_time: ref.confirmed ? Math.floor(new Date(ref.confirmed).getTime() / 1000) : null
+      });
+    }
+
+    return Array.from(byHash.values()).reverse();
+  }
+
+  async getTransaction(txHash) {
+    return await this.get(`/txs/${txHash}`);
+  }
+}
+
+module.exports = BlockCypherProvider;
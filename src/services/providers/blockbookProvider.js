@@ -0,0 +1,60 @@
+const BaseProvider = require('./baseProvider');
+
+// Blockbook lists Bitcoin Cash outputs as CashAddr with or without the bitcoincash: prefix
+const sameAddress = (a, b) => a === b || a.split(':').pop() === b.split(':').pop();
+
+/**
+ * Trezor Blockbook API v2; url is the server root, e.g. https://ltc1.trezor.io or https://bch1.trezor.io
+ */
+class BlockbookProvider extends BaseProvider {
+  async getBlockHeight() {
+    const data = await this.get('/api/v2');
+    return data.blockbook.bestHeight;
+  }
+
+  async getBlockHash(height) {
+    const data = await this.get(`/api/v2/block-index/${height}`);
+    return data.blockHash;
+  }
+
+  /**
+   * List incoming transactions above the start height, mempool included
+   */
+  async getAddressTransactions(address, startHeight) {
+    const data = await this.get(`/api/v2/address/${address}`, {
+      details: 'txs',
+      from: startHeight + 1,
+      pageSize: 50
+    });
+
+    const transactions = [];
+    for (const tx of data.transactions || []) {
+      // Mempool transactions have no confirmations and a placeholder height
+      const blockHeight = tx.confirmations > 0 ? tx.blockHeight : null;
+      if (blockHeight !== null && blockHeight <= startHeight) continue;
+
+      const amount = (tx.vout || [])
+        .filter(output => (output.addresses || []).some(candidate => sameAddress(candidate, address)))
+        .reduce((sum, output) => sum + BigInt(output.value), 0n);
+
+      if (amount > 0n) {
+        transactions.push({
+          tx_hash: tx.txid,
+          amount: amount.toString(),
+          block_height: blockHeight,
+          block_hash: blockHeight !== null ? tx.blockHash : null,
+          block_time: blockHeight !== null ? tx.blockTime : null,
+          ...BaseProvider.describeInputs(tx.vin || [])
+        });
+      }
+    }
+
+    return transactions.reverse();
+  }
+
+  async getTransaction(txHash) {
+    return await this.get(`/api/v2/tx/${txHash}`);
+  }
+}
+
+module.exports = BlockbookProvider;
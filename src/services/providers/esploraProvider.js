@@ -0,0 +1,101 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Esplora REST API (Blockstream, mempool.space, litecoinspace or a self-hosted electrs)
+ */
+class EsploraProvider extends BaseProvider {
+  async getBlockHeight() {
+    return parseInt(await this.get('/blocks/tip/height'));
+  }
+
+  async getBlockHash(height) {
+    return await this.get(`/block-height/${height}`);
+  }
+
+  /**
+   * List incoming transactions, newest pages first until the start height
+   */
+  async getAddressTransactions(address, startHeight) {
+    const transactions = [];
+    let path = `/address/${address}/txs`;
+
+    // Esplora returns mempool txs plus 25 confirmed txs per page
+    for (let page = 0; page < 5; page++) {
+      const txs = await this.get(path);
+      let reachedStart = false;
+
+      for (const tx of txs) {
+        const blockHeight = tx.status.confirmed ? tx.status.block_height : null;
+
+        if (blockHeight !== null && blockHeight <= startHeight) {
+          reachedStart = true;
+          continue;
+        }
+
+        const amount = tx.vout
+          .filter(output => output.scriptpubkey_address === address)
+          .reduce((sum, output) => sum + BigInt(output.value), 0n);
+
+        if (amount > 0n) {
+          transactions.push({
+            tx_hash: tx.txid,
+            amount: amount.toString(),
+            block_height: blockHeight,
+            block_hash: tx.status.block_hash || null,
+            block_time: tx.status.block_time || null,
+            ...BaseProvider.describeInputs(tx.vin)
+          });
+        }
+      }
+
+      const confirmed = txs.filter(tx => tx.status.confirmed);
+      if (reachedStart || confirmed.length < 25) {
+        break;
+      }
+
+      path = `/address/${address}/txs/chain/${confirmed[confirmed.length - 1].txid}`;
+    }
+
+    return transactions.reverse();
+  }
+
+  /**
+   * List incoming transactions still in the mempool
+   */
+  async getMempoolTransactions(address) {
+    const txs = await this.get(`/address/${address}/txs/mempool`);
+
+    return txs
+      .map(tx => ({
+        tx_hash: tx.txid,
+        amount: tx.vout
+          .filter(output => output.scriptpubkey_address === address)
+          .reduce((sum, output) => sum + BigInt(output.value), 0n)
+          .toString(),
+        block_height: null,
+        block_hash: null,
+        block_time: null,
+        ...BaseProvider.describeInputs(tx.vin)
+      }))
+      .filter(tx => tx.amount !== '0');
+  }
+
+  /**
+   * Transaction spending each 'txid:vout' outpoint, mempool included; null while unspent
+   */
+  async getOutspends(outpoints) {
+    const spenders = [];
+    for (const outpoint of outpoints) {
+      const [txid, vout] = outpoint.split(':');
+      const outspend = await this.get(`/tx/${txid}/outspend/${vout}`);
+      spenders.push(outspend.spent ? outspend.txid : null);
+    }
+    return spenders;
+  }
+
+  async getTransaction(txHash) {
+    return await this.get(`/tx/${txHash}`);
+  }
+}
+
+module.exports = EsploraProvider;
@@ -0,0 +1,61 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Etherscan-compatible explorer API (Etherscan v2 serves every chain by chainId);
+ * used for native transfers, which JSON-RPC cannot list by recipient
+ */
+class EtherscanProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.chainId = config.chainId;
+
+    if (!this.apiKey) {
+      console.warn(`Etherscan provider ${this.name} (chain ${this.chainId}) has no API key and is disabled; Etherscan v2 rejects keyless requests, set ETHERSCAN_API_KEY`);
+    }
+  }
+
+  /**
+   * Etherscan v2 answers nothing without an API key
+   */
+  supports(method) {
+    return Boolean(this.apiKey) && super.supports(method);
+  }
+
+  /**
+   * List incoming native transfers above the start height
+   */
+  async getAddressTransactions(address, startHeight) {
+    const { status, message, result } = await this.get('', {
+      chainid: this.chainId,
+      module: 'account',
+      action: 'txlist',
+      address,
+      startblock: startHeight + 1,
+      endblock: 'latest',
+      sort: 'asc',
+      ...(this.apiKey && { apikey: this.apiKey })
+    });
+
+    if (status !== '1') {
+      if (message === 'No transactions found') {
+        return [];
+      }
+      throw new Error(`Explorer API error: ${typeof result === 'string' ? result : message}`);
+    }
+
+    return result
+      .filter(tx =>
+        tx.to && tx.to.toLowerCase() === address.toLowerCase() &&
+        tx.isError === '0' && BigInt(tx.value) > 0n
+      )
+      .map(tx => ({
+        tx_hash: tx.hash,
+        amount: tx.value,
+        block_height: parseInt(tx.blockNumber),
+        block_hash: tx.blockHash,
+        block_time: parseInt(tx.timeStamp)
+      }));
+  }
+}
+
+module.exports = EtherscanProvider;
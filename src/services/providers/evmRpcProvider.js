@@ -0,0 +1,154 @@
+const BaseProvider = require('./baseProvider');
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+/**
+ * Any EVM JSON-RPC node (Ankr, public RPCs, a self-hosted geth/erigon or BSC node).
+ * JSON-RPC has no index of transactions by recipient, so native transfers of a single
+ * address come from an explorer provider instead; the block watcher (evmWatcherService)
+ * reads them from whole blocks.
+ */
+class EvmRpcProvider extends BaseProvider {
+  async getBlockHeight() {
+    return parseInt(await this.rpcCall('eth_blockNumber', []), 16);
+  }
+
+  async getBlockHash(height) {
+    const block = await this.rpcCall('eth_getBlockByNumber', ['0x' + height.toString(16), false]);
+    return block ? block.hash : null;
+  }
+
+  /**
+   * List incoming ERC-20/BEP-20 transfers from the token's Transfer logs
+   */
+  async getTokenTransfers(token, address, startHeight) {
+    const recipientTopic = '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+
+    const logs = await this.rpcCall('eth_getLogs', [{
+      address: token.contract,
+      fromBlock: '0x' + (startHeight + 1).toString(16),
+      toBlock: 'latest',
+      topics: [TRANSFER_TOPIC, null, recipientTopic]
+    }]);
+
+    // Aggregate per transaction; a batched transfer may emit several logs
+    const byHash = new Map();
+    for (const log of logs) {
+      if (log.removed) continue;
+
+      const amount = BigInt(log.data);
+      const existing = byHash.get(log.transactionHash);
+      if (existing) {
+        existing.amount = (BigInt(existing.amount) + amount).toString();
+        continue;
+      }
+
+      byHash.set(log.transactionHash, {
+        tx_hash: log.transactionHash,
+        amount: amount.toString(),
+        block_height: parseInt(log.blockNumber, 16),
+        block_hash: log.blockHash,
+        block_time: null
+      });
+    }
+
+    return Array.from(byHash.values());
+  }
+
+  /**
+   * Blocks fromHeight..toHeight with their transactions, fetched in one batch.
+   * Each is { height, hash, parent_hash, timestamp, transactions: [{ tx_hash, to, value }] }.
+   */
+  async getBlocks(fromHeight, toHeight) {
+    const calls = [];
+    for (let height = fromHeight; height <= toHeight; height++) {
+      calls.push(['eth_getBlockByNumber', ['0x' + height.toString(16), true]]);
+    }
+
+    const blocks = await this.rpcBatch(calls);
+
+    return blocks.map((block, i) => {
+      if (!block) {
+        throw new Error(`Block ${fromHeight + i} not available`);
+      }
+
+      return {
+        height: parseInt(block.number, 16),
+        hash: block.hash,
+        parent_hash: block.parentHash,
+        timestamp: parseInt(block.timestamp, 16),
+        transactions: block.transactions.map(tx => ({
+          tx_hash: tx.hash,
+          to: tx.to ? tx.to.toLowerCase() : null,
+          value: BigInt(tx.value).toString()
+        }))
+      };
+    });
+  }
+
+  /**
+   * Transfer logs of any of the token contracts to any of the recipients between two
+   * heights (inclusive). Each is { tx_hash, contract, to, amount, block_height, block_hash },
+   * with lowercase addresses.
+   */
+  async getTransferLogs(contracts, recipients, fromHeight, toHeight) {
+    const logs = await this.rpcCall('eth_getLogs', [{
+      address: contracts,
+      fromBlock: '0x' + fromHeight.toString(16),
+      toBlock: '0x' + toHeight.toString(16),
+      topics: [
+        TRANSFER_TOPIC,
+        null,
+        recipients.map(address => '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0'))
+      ]
+    }]);
+
+    return logs
+      .filter(log => !log.removed)
+      .map(log => ({
+        tx_hash: log.transactionHash,
+        contract: log.address.toLowerCase(),
+        to: '0x' + log.topics[2].slice(-40).toLowerCase(),
+        amount: BigInt(log.data).toString(),
+        block_height: parseInt(log.blockNumber, 16),
+        block_hash: log.blockHash
+      }));
+  }
+
+  /**
+   * Transactions of the node's pending block, [{ tx_hash, to, value, input }]. Best effort:
+   * nodes that build no pending block, or answer with the latest one, yield nothing.
+   */
+  async getPendingTransactions() {
+    const block = await this.rpcCall('eth_getBlockByNumber', ['pending', true]);
+
+    // A pending block has no hash yet
+    if (!block || !Array.isArray(block.transactions) || block.hash) {
+      return [];
+    }
+
+    return block.transactions
+      .filter(tx => typeof tx === 'object')
+      .map(tx => ({
+        tx_hash: tx.hash,
+        to: tx.to ? tx.to.toLowerCase() : null,
+        value: BigInt(tx.value).toString(),
+        input: tx.input || '0x'
+      }));
+  }
+
+  /**
+   * Whether each transaction succeeded, from its receipt (null while unknown)
+   */
+  async getTransactionStatuses(txHashes) {
+    const receipts = await this.rpcBatch(txHashes.map(txHash => ['eth_getTransactionReceipt', [txHash]]));
+    return receipts.map(receipt => (receipt ? receipt.status === '0x1' : null));
+  }
+
+  async getTransaction(txHash) {
+    return await this.rpcCall('eth_getTransactionByHash', [txHash]);
+  }
+}
+
+module.exports = EvmRpcProvider;
@@ -0,0 +1,55 @@
+const EsploraProvider = require('./esploraProvider');
+const BlockCypherProvider = require('./blockCypherProvider');
+const BlockbookProvider = require('./blockbookProvider');
+const BitcoinCoreProvider = require('./bitcoinCoreProvider');
+const EvmRpcProvider = require('./evmRpcProvider');
+const EtherscanProvider = require('./etherscanProvider');
+const SolanaRpcProvider = require('./solanaRpcProvider');
+const TronGridProvider = require('./tronGridProvider');
+const ProviderPool = require('./providerPool');
+
+// Provider implementations by the type used in the provider configuration
+const providerTypes = {
+  'esplora': EsploraProvider,
+  'blockcypher': BlockCypherProvider,
+  'blockbook': BlockbookProvider,
+  'bitcoin-core': BitcoinCoreProvider,
+  'evm-rpc': EvmRpcProvider,
+  'etherscan': EtherscanProvider,
+  'solana-rpc': SolanaRpcProvider,
+  'trongrid': TronGridProvider
+};
+
+/**
+ * Instantiate a provider from its configuration
+ */
+const createProvider = (config) => {
+  const Provider = providerTypes[config.type];
+  if (!Provider) {
+    throw new Error(`Unknown provider type "${config.type}", expected one of: ${Object.keys(providerTypes).join(', ')}`);
+  }
+  if (!config.url) {
+    throw new Error(`Provider ${config.name} has no url`);
+  }
+
+  return new Provider(config);
+};
+
+/**
+ * Build a provider pool per chain from { chain: [providerConfig, …] }
+ */
+const buildProviderPools = (providerConfig) => {
+  const pools = {};
+
+  for (const [chain, configs] of Object.entries(providerConfig)) {
+    pools[chain] = new ProviderPool(chain, configs.map(createProvider));
+  }
+
+  return pools;
+};
+
+module.exports = {
+  providerTypes,
+  createProvider,
+  buildProviderPools
+};
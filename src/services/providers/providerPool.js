@@ -0,0 +1,154 @@
+/**
+ * The providers of one chain, tried in order of priority and then health score.
+ *
+ * Every call feeds the provider's latency and error rate (exponential moving averages).
+ * After failureThreshold consecutive failures its circuit opens and it is skipped for a
+ * cooldown that doubles on every trip; once the cooldown passes a single trial call
+ * decides whether it closes again. When every circuit is open the providers are still
+ * tried, soonest-to-recover first, rather than failing outright.
+ */
+class ProviderPool {
+  constructor(chain, providers) {
+    this.chain = chain;
+    this.providers = providers;
+
+    this.failureThreshold = 3;
+    this.baseCooldown = 30 * 1000; // ms
+    this.maxCooldown = 10 * 60 * 1000; // ms
+    this.smoothing = 0.2; // weight of the latest call in the moving averages
+    this.errorPenalty = 4; // a provider failing every call scores as 5x slower
+
+    this.health = new Map(providers.map(provider => [provider.name, {
+      latency: null,
+      errorRate: 0,
+      consecutiveFailures: 0,
+      trips: 0,
+      openUntil: 0,
+      lastError: null
+    }]));
+  }
+
+  /**
+   * Run a provider method on the best available provider, failing over to the next
+   */
+  async call(method, ...args) {
+    const candidates = this.rank(method);
+    if (candidates.length === 0) {
+      throw new Error(`No ${this.chain} provider supports ${method}`);
+    }
+
+    let lastError;
+    for (const provider of candidates) {
+      try {
+        return await this.callProvider(provider, method, ...args);
+      } catch (error) {
+        console.warn(`${this.chain} provider ${provider.name} failed ${method}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw new Error(`All ${this.chain} providers failed ${method}: ${lastError.message}`);
+  }
+
+  /**
+   * Run a provider method on one given provider, without failover.
+   * Used to ask several providers the same question independently.
+   */
+  async callProvider(provider, method, ...args) {
+    const start = Date.now();
+
+    try {
+      const result = await provider[method](...args);
+      this.recordSuccess(provider, Date.now() - start);
+      return result;
+    } catch (error) {
+      this.recordFailure(provider, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Providers supporting a method, best first
+   */
+  rank(method) {
+    const now = Date.now();
+    const supporting = this.providers.filter(provider => provider.supports(method));
+    const available = supporting.filter(provider => this.health.get(provider.name).openUntil <= now);
+
+    if (available.length === 0) {
+      return supporting.sort((a, b) => this.health.get(a.name).openUntil - this.health.get(b.name).openUntil);
+    }
+
+    return available.sort((a, b) => a.priority - b.priority || this.score(a) - this.score(b));
+  }
+
+  /**
+   * Lower is better: average latency inflated by the recent error rate.
+   * Untried providers score as neutral so they get a chance against slow ones.
+   */
+  score(provider) {
+    const health = this.health.get(provider.name);
+    const latency = health.latency === null ? provider.timeout / 4 : health.latency;
+    return latency * (1 + health.errorRate * this.errorPenalty);
+  }
+
+  recordSuccess(provider, latency) {
+    const health = this.health.get(provider.name);
+
+    health.latency = health.latency === null
+      ? latency
+      : health.latency + this.smoothing * (latency - health.latency);
+    health.errorRate += this.smoothing * (0 - health.errorRate);
+    health.consecutiveFailures = 0;
+    health.trips = 0;
+    health.openUntil = 0;
+  }
+
+  recordFailure(provider, error) {
+    const health = this.health.get(provider.name);
+
+    health.errorRate += this.smoothing * (1 - health.errorRate);
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      const cooldown = Math.min(this.baseCooldown * 2 ** health.trips, this.maxCooldown);
+      health.openUntil = Date.now() + cooldown;
+      health.trips++;
+
+      console.warn(`⚠️ ${this.chain} provider ${provider.name} disabled for ${cooldown / 1000}s after ${health.consecutiveFailures} failures`);
+    }
+  }
+
+  /**
+   * Health snapshot of every provider for monitoring
+   */
+  getHealth() {
+    const now = Date.now();
+
+    return this.providers.map(provider => {
+      const health = this.health.get(provider.name);
+      let state = 'closed';
+      if (health.openUntil > now) {
+        state = 'open';
+      } else if (health.consecutiveFailures >= this.failureThreshold) {
+        state = 'half-open';
+      }
+
+      return {
+        name: provider.name,
+        type: provider.type,
+        url: provider.displayUrl,
+        priority: provider.priority,
+        state,
+        latency_ms: health.latency === null ? null : Math.round(health.latency),
+        error_rate: Math.round(health.errorRate * 100) / 100,
+        consecutive_failures: health.consecutiveFailures,
+        last_error: health.lastError,
+        ...(state === 'open' && { retry_at: new Date(health.openUntil).toISOString() })
+      };
+    });
+  }
+}
+
+module.exports = ProviderPool;
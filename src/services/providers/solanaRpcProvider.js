@@ -0,0 +1,178 @@
+const BaseProvider = require('./baseProvider');
+
+// Lamports an account gained in a transaction
+const lamportDelta = (tx, address) => {
+  const index = tx.transaction.message.accountKeys.findIndex(key => key.pubkey === address);
+  if (index === -1) {
+    return 0n;
+  }
+  return BigInt(tx.meta.postBalances[index]) - BigInt(tx.meta.preBalances[index]);
+};
+
+// Base units of a mint the token accounts of an owner gained in a transaction; the token
+// account may have been created in the transaction and have no pre balance
+const tokenDelta = (tx, mint, owner) => {
+  const ownerBalance = (balances) => (balances || [])
+    .filter(balance => balance.mint === mint && balance.owner === owner)
+    .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+
+  return ownerBalance(tx.meta.postTokenBalances) - ownerBalance(tx.meta.preTokenBalances);
+};
+
+// Memos of a signature listing; the RPC joins several with '; ' and prefixes each with its length
+const memosOf = (sig) => (sig.memo || '')
+  .split('; ')
+  .map(memo => memo.replace(/^\[\d+\] /, ''));
+
+/**
+ * Solana JSON-RPC node (Ankr, Helius, the public mainnet-beta endpoint or a self-hosted RPC node)
+ */
+class SolanaRpcProvider extends BaseProvider {
+  async getBlockHeight() {
+    return await this.rpcCall('getSlot', [{ commitment: 'confirmed' }]);
+  }
+
+  async getLatestBlockhash() {
+    const { value } = await this.rpcCall('getLatestBlockhash', [{ commitment: 'confirmed' }]);
+    return value.blockhash;
+  }
+
+  async getBlockHash(slot) {
+    const block = await this.rpcCall('getBlock', [slot, {
+      transactionDetails: 'none',
+      rewards: false,
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    }]);
+    return block ? block.blockhash : null;
+  }
+
+  /**
+   * List incoming SOL transfers by replaying each signature's balance change
+   */
+  async getAddressTransactions(address, startHeight) {
+    const signatures = await this.rpcCall('getSignaturesForAddress', [address, { limit: 100 }]);
+
+    const candidates = signatures
+      .filter(sig => !sig.err && sig.slot > startHeight)
+      .slice(0, 20);
+
+    const transactions = [];
+    for (const sig of candidates) {
+      const tx = await this.getTransaction(sig.signature);
+
+      if (!tx || !tx.meta) continue;
+
+      const delta = lamportDelta(tx, address);
+      if (delta <= 0n) continue;
+
+      transactions.push({
+        tx_hash: sig.signature,
+        amount: delta.toString(),
+        block_height: tx.slot,
+        block_hash: null,
+        block_time: tx.blockTime
+      });
+    }
+
+    return transactions.reverse();
+  }
+
+  /**
+   * List incoming SPL token transfers to a wallet. Tokens are held by token accounts
+   * owned by the wallet, so their signatures are replayed and the owner's balance
+   * change for the mint is taken from the pre/post token balances.
+   */
+  async getTokenTransfers(token, owner, startHeight) {
+    const { mint } = token;
+    const accounts = await this.rpcCall('getTokenAccountsByOwner', [
+      owner,
+      { mint },
+      { encoding: 'jsonParsed', commitment: 'confirmed' }
+    ]);
+
+    const transactions = new Map();
+    for (const account of accounts.value) {
+      const signatures = await this.rpcCall('getSignaturesForAddress', [account.pubkey, { limit: 100 }]);
+
+      const candidates = signatures
+        .filter(sig => !sig.err && sig.slot > startHeight && !transactions.has(sig.signature))
+        .slice(0, 20);
+
+      for (const sig of candidates) {
+        const tx = await this.getTransaction(sig.signature);
+
+        if (!tx || !tx.meta) continue;
+
+        const delta = tokenDelta(tx, mint, owner);
+        if (delta <= 0n) continue;
+
+        transactions.set(sig.signature, {
+          tx_hash: sig.signature,
+          amount: delta.toString(),
+          block_height: tx.slot,
+          block_hash: null,
+          block_time: tx.blockTime
+        });
+      }
+    }
+
+    return Array.from(transactions.values()).sort((a, b) => a.block_height - b.block_height);
+  }
+
+  /**
+   * List transfers to a shared deposit address that carry a payment reference: wallets
+   * following Solana Pay add it as a read-only account of the transfer, exchanges send it
+   * as an SPL memo. token is the registry entry of an SPL payment, null for SOL.
+   */
+  async getReferenceTransfers(reference, recipient, token, startHeight) {
+    const signatures = await this.rpcCall('getSignaturesForAddress', [reference, { limit: 100 }]);
+
+    // Memos are only found in the history of the deposit address (its token accounts for SPL)
+    const memoSources = token
+      ? (await this.rpcCall('getTokenAccountsByOwner', [
+        recipient,
+        { mint: token.mint },
+        { encoding: 'jsonParsed', commitment: 'confirmed' }
+      ])).value.map(account => account.pubkey)
+      : [recipient];
+
+    for (const source of memoSources) {
+      const history = await this.rpcCall('getSignaturesForAddress', [source, { limit: 1000 }]);
+      signatures.push(...history.filter(sig => memosOf(sig).includes(reference)));
+    }
+
+    const candidates = new Map(signatures
+      .filter(sig => !sig.err && sig.slot > startHeight)
+      .map(sig => [sig.signature, sig]));
+
+    const transactions = [];
+    for (const sig of candidates.values()) {
+      const tx = await this.getTransaction(sig.signature);
+
+      if (!tx || !tx.meta) continue;
+
+      const delta = token ? tokenDelta(tx, token.mint, recipient) : lamportDelta(tx, recipient);
+      if (delta <= 0n) continue;
+
+      transactions.push({
+        tx_hash: sig.signature,
+        amount: delta.toString(),
+        block_height: tx.slot,
+        block_hash: null,
+        block_time: tx.blockTime
+      });
+    }
+
+    return transactions.sort((a, b) => a.block_height - b.block_height);
+  }
+
+  async getTransaction(signature) {
+    return await this.rpcCall('getTransaction', [
+      signature,
+      { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+    ]);
+  }
+}
+
+module.exports = SolanaRpcProvider;
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const bitcoin = require('bitcoinjs-lib');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Hex form (41…) of a base58check Tron address, as used inside raw transactions
+ */
+const toHexAddress = (address) => {
+  const { version, hash } = bitcoin.address.fromBase58Check(address);
+  return (version.toString(16) + hash.toString('hex')).toLowerCase();
+};
+
+/**
+ * TronGrid (or a self-hosted java-tron node with the event API) over HTTP
+ */
+class TronGridProvider extends BaseProvider {
+  // TronGrid heavily rate-limits requests without an API key
+  get(path, params = {}) {
+    return super.get(path, params, this.apiKey ? { 'TRON-PRO-API-KEY': this.apiKey } : {});
+  }
+
+  /**
+   * Call a full node HTTP API method
+   */
+  async post(path, body) {
+    const response = await axios.post(`${this.url}${path}`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'TRON-PRO-API-KEY': this.apiKey })
+      },
+      timeout: this.timeout
+    });
+
+    return response.data;
+  }
+
+  async getBlockHeight() {
+    const block = await this.post('/wallet/getnowblock', {});
+    return block.block_header.raw_data.number;
+  }
+
+  async getBlockHash(height) {
+    const block = await this.post('/wallet/getblockbynum', { num: height });
+    return block && block.blockID ? block.blockID : null;
+  }
+
+  /**
+   * List incoming TRX transfers (TransferContract), newest first until the start height.
+   * TRC-10 assets and TRX moved by contracts (internal transactions) are not included.
+   */
+  async getAddressTransactions(address, startHeight) {
+    const data = await this.get(`/v1/accounts/${address}/transactions`, {
+      only_to: true,
+      limit: 50
+    });
+
+    const recipient = toHexAddress(address);
+    const transactions = [];
+
+    for (const tx of data.data || []) {
+      const blockHeight = tx.blockNumber || null;
+      if (blockHeight !== null && blockHeight <= startHeight) {
+        break;
+      }
+
+      // Failed transactions are listed too
+      if (tx.ret && tx.ret[0] && tx.ret[0].contractRet !== 'SUCCESS') continue;
+
+      // Amounts are in sun (10^-6 TRX); a transaction holds a single contract
+      const contract = tx.raw_data.contract[0];
+      if (contract.type !== 'TransferContract') continue;
+
+      const { amount, to_address: to } = contract.parameter.value;
+      if (to.toLowerCase() !== recipient || !(amount > 0)) continue;
+
+      transactions.push({
+        tx_hash: tx.txID,
+        amount: BigInt(amount).toString(),
+        block_height: blockHeight,
+        block_hash: null,
+        block_time: tx.block_timestamp ? Math.floor(tx.block_timestamp / 1000) : null
+      });
+    }
+
+    return transactions.reverse();
+  }
+
+  /**
+   * List incoming TRC-20 transfers, newest first until the start height.
+   * The account API does not return block numbers, so each transfer's block is looked up.
+   */
+  async getTokenTransfers(token, address, startHeight) {
+    const data = await this.get(`/v1/accounts/${address}/transactions/trc20`, {
+      contract_address: token.contract,
+      only_to: true,
+      limit: 50
+    });
+
+    const byHash = new Map();
+    for (const transfer of data.data || []) {
+      if (transfer.to !== address || transfer.token_info?.address !== token.contract) continue;
+
+      // Unconfirmed transactions have no receipt yet
+      const info = await this.post('/wallet/gettransactioninfobyid', { value: transfer.transaction_id });
+      const blockHeight = info && info.blockNumber ? info.blockNumber : null;
+
+      if (blockHeight !== null && blockHeight <= startHeight) {
+        break;
+      }
+
+      const existing = byHash.get(transfer.transaction_id);
+      if (existing) {
+        existing.amount = (BigInt(existing.amount) + BigInt(transfer.value)).toString();
+        continue;
+      }
+
+      byHash.set(transfer.transaction_id, {
+        tx_hash: transfer.transaction_id,
+        amount: BigInt(transfer.value).toString(),
+        block_height: blockHeight,
+        block_hash: null,
+        block_time: Math.floor(transfer.block_timestamp / 1000)
+      });
+    }
+
+    return Array.from(byHash.values()).reverse();
+  }
+
+  async getTransaction(txHash) {
+    return await this.post('/wallet/gettransactionbyid', { value: txHash });
+  }
+}
+
+module.exports = TronGridProvider;
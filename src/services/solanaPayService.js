@@ -0,0 +1,176 @@
+const { createClient } = require('@supabase/supabase-js');
+const { PublicKey, SystemProgram, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, PUBLIC_URL } = require('../config/environment');
+const { getToken } = require('../config/tokens');
+const blockchainService = require('./blockchainService');
+
+// Initialize Supabase client
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBjf1Ss623VQ5DA');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbd2wWdxqN4hsh3HaNp1d9bnTLpCaNGhUk2y');
+
+// Token program TransferChecked and associated token program CreateIdempotent instructions
+const TRANSFER_CHECKED = 12;
+const CREATE_IDEMPOTENT = 1;
+
+/**
+ * Solana Pay (https://docs.solanapay.com/spec) for payments on the solana network.
+ *
+ * A transfer request URL (solana:<recipient>?amount=…&reference=…) lets a wallet build the
+ * transfer itself; a transaction request URL points the wallet at this server, which builds
+ * the transfer for the payer's account. Both carry the payment's reference key, which the
+ * wallet adds to the transfer so the payment is found by looking up the reference's signatures.
+ */
+class SolanaPayService {
+  /**
+   * Whether a payment can be paid through Solana Pay
+   */
+  supports(payment) {
+    return payment.network === 'solana' && payment.method === 'onchain' && Boolean(payment.reference);
+  }
+
+  /**
+   * Solana Pay links of a payment: { url, transaction_request_url }, or null for other
+   * payments. The transaction request needs PUBLIC_URL, wallets only fetch it over HTTPS.
+   */
+  async getPaymentLinks(payment) {
+    if (!this.supports(payment)) {
+      return null;
+    }
+
+    const label = await this.getLabel(payment.merchant_id);
+
+    return {
+      url: this.buildTransferRequestUrl(payment, label),
+      transaction_request_url: PUBLIC_URL
+        ? `solana:${encodeURIComponent(`${PUBLIC_URL}/api/solana-pay/${payment.id}`)}`
+        : null
+    };
+  }
+
+  /**
+   * Transfer request URL for the payment's full amount
+   */
+  buildTransferRequestUrl(payment, label) {
+    const token = getToken(payment.currency, payment.network);
+    const decimals = blockchainService.getDecimals(payment.currency, payment.network);
+
+    const params = new URLSearchParams();
+    // A decimal without exponent, as Solana Pay expects
+    params.set('amount', blockchainService.formatBaseUnits(blockchainService.toBaseUnits(payment.amount, decimals), decimals));
+    if (token) {
+      params.set('spl-token', token.mint);
+    }
+    params.set('reference', payment.reference);
+    if (label) {
+      params.set('label', label);
+    }
+    params.set('message', this.getMessage(payment));
+
+    // URLSearchParams encodes spaces as '+', which the spec does not decode
+    return `solana:${payment.address}?${params.toString().replace(/\+/g, '%20')}`;
+  }
+
+  /**
+   * Name the wallet shows as the payment's recipient: the merchant's name
+   */
+  async getLabel(merchantId) {
+    const { data: merchant, error } = await supabase
+      .from('merchants')
+      .select('name')
+      .eq('id', merchantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      console.error('Merchant name fetch error:', error);
+    }
+
+    return merchant?.name || null;
+  }
+
+  /**
+   * What the wallet shows the payment is for
+   */
+  getMessage(payment) {
+    return payment.description || `Order ${payment.order_id}`;
+  }
+
+  /**
+   * Build the unsigned transfer of a payment's outstanding amount from a payer's account,
+   * with the payment reference as a read-only key of the transfer instruction.
+   * Returns the base64 serialized transaction for the wallet to sign and send.
+   */
+  async buildTransaction(payment, account) {
+    const payer = new PublicKey(account);
+    const recipient = new PublicKey(payment.address);
+    const reference = new PublicKey(payment.reference);
+
+    const token = getToken(payment.currency, payment.network);
+    const decimals = blockchainService.getDecimals(payment.currency, payment.network);
+    const expected = blockchainService.toBaseUnits(payment.amount, decimals);
+    const received = blockchainService.toBaseUnits(payment.actual_amount || 0, decimals);
+    const amount = expected > received ? expected - received : 0n;
+
+    const transaction = new Transaction();
+    let transfer;
+
+    if (token) {
+      const mint = new PublicKey(token.mint);
+      const source = this.getAssociatedTokenAddress(payer, mint);
+      const destination = this.getAssociatedTokenAddress(recipient, mint);
+
+      // A fresh receive address has no token account yet; the payer funds its rent
+      transaction.add(new TransactionInstruction({
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        keys: [
+          { pubkey: payer, isSigner: true, isWritable: true },
+          { pubkey: destination, isSigner: false, isWritable: true },
+          { pubkey: recipient, isSigner: false, isWritable: false },
+          { pubkey: mint, isSigner: false, isWritable: false },
+          { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+          { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: Buffer.from([CREATE_IDEMPOTENT])
+      }));
+
+      const data = Buffer.alloc(10);
+      data.writeUInt8(TRANSFER_CHECKED, 0);
+      data.writeBigUInt64LE(amount, 1);
+      data.writeUInt8(decimals, 9);
+
+      transfer = new TransactionInstruction({
+        programId: TOKEN_PROGRAM_ID,
+        keys: [
+          { pubkey: source, isSigner: false, isWritable: true },
+          { pubkey: mint, isSigner: false, isWritable: false },
+          { pubkey: destination, isSigner: false, isWritable: true },
+          { pubkey: payer, isSigner: true, isWritable: false }
+        ],
+        data
+      });
+    } else {
+      transfer = SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: amount });
+    }
+
+    transfer.keys.push({ pubkey: reference, isSigner: false, isWritable: false });
+    transaction.add(transfer);
+
+    transaction.feePayer = payer;
+    transaction.recentBlockhash = await blockchainService.getProviders('SOL').call('getLatestBlockhash');
+
+    return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+  }
+
+  /**
+   * Associated token account of an owner for a mint
+   */
+  getAssociatedTokenAddress(owner, mint) {
+    return PublicKey.findProgramAddressSync(
+      [owner.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    )[0];
+  }
+}
+
+module.exports = new SolanaPayService();
@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { getNetworks } = require('../config/tokens');
 
 class WalletConnectionService {
   constructor() {
@@ -22,12 +23,36 @@ class WalletConnectionService {
         decimals: 18,
         networks: ['mainnet', 'testnet']
       },
+      POL: {
+        name: 'Polygon',
+        symbol: 'POL',
+        decimals: 18,
+        networks: ['mainnet', 'amoy']
+      },
       LTC: {
         name: 'Litecoin',
         symbol: 'LTC',
         decimals: 8,
         networks: ['mainnet', 'testnet']
       },
+      DOGE: {
+        name: 'Dogecoin',
+        symbol: 'DOGE',
+        decimals: 8,
+        networks: ['mainnet', 'testnet']
+      },
+      BCH: {
+        name: 'Bitcoin Cash',
+        symbol: 'BCH',
+        decimals: 8,
+        networks: ['mainnet', 'testnet']
+      },
+      TRX: {
+        name: 'Tron',
+        symbol: 'TRX',
+        decimals: 6,
+        networks: ['mainnet', 'nile']
+      },
       SOL: {
         name: 'Solana',
         symbol: 'SOL',
@@ -38,13 +63,13 @@ class WalletConnectionService {
         name: 'Tether USD',
         symbol: 'USDT',
         decimals: 6,
-        networks: ['ethereum', 'bsc', 'polygon']
+        networks: getNetworks('USDT')
       },
       USDC: {
         name: 'USD Coin',
         symbol: 'USDC',
         decimals: 6,
-        networks: ['ethereum', 'bsc', 'polygon', 'solana']
+        networks: getNetworks('USDC')
       }
     };
 
@@ -81,11 +106,19 @@ class WalletConnectionService {
         case 'BTC':
         case 'LTC':
           return this.verifyBitcoinSignature(message, signature, address);
+        case 'DOGE':
+          return this.verifyBitcoinSignature(message, signature, address, '\x19Dogecoin Signed Message:\n');
+        case 'BCH':
+          // Bitcoin Cash wallets sign with Bitcoin's prefix over the legacy form of the address
+          return this.verifyBitcoinSignature(message, signature, this.toLegacyCashAddress(address));
         case 'ETH':
         case 'BNB':
+        case 'POL':
         case 'USDT':
         case 'USDC':
           return this.verifyEthereumSignature(message, signature, address);
+        case 'TRX':
+          return this.verifyTronSignature(message, signature, address);
         case 'SOL':
           return this.verifySolanaSignature(message, signature, address);
         default:
@@ -98,9 +131,9 @@ class WalletConnectionService {
   }
 
   /**
-   * Verify Bitcoin/Litecoin signature
+   * Verify Bitcoin/Litecoin/Dogecoin signature
    */
-  verifyBitcoinSignature(message, signature, address) {
+  verifyBitcoinSignature(message, signature, address, messagePrefix = undefined) {
     // For Bitcoin, we would need to implement proper signature verification
     // This is a simplified version for demonstration
     try {
@@ -108,7 +141,7 @@ class WalletConnectionService {
       const bitcoinMessage = require('bitcoinjs-message');
 
       // Verify message signature
-      const verifiedAddress = bitcoinMessage.verify(message, address, signature);
+      const verifiedAddress = bitcoinMessage.verify(message, address, signature, messagePrefix);
 
       return verifiedAddress === address;
     } catch (error) {
@@ -117,6 +150,15 @@ class WalletConnectionService {
     }
   }
 
+  /**
+   * Legacy base58 (1…) form of a CashAddr P2PKH address
+   */
+  toLegacyCashAddress(address) {
+    const bitcoin = require('bitcoinjs-lib');
+    const { hash } = require('./walletService').decodeCashAddress('bitcoincash', address);
+    return bitcoin.address.toBase58Check(hash, 0x00);
+  }
+
   /**
    * Verify Ethereum signature
    */
@@ -138,6 +180,30 @@ class WalletConnectionService {
     }
   }
 
+  /**
+   * Verify a Tron signature (TronLink signMessageV2): Ethereum-style personal_sign
+   * with a TRON prefix, recovered to the signer's T… address
+   */
+  verifyTronSignature(message, signature, address) {
+    try {
+      const { keccak256, toUtf8Bytes, concat, recoverAddress } = require('ethers');
+
+      const messageBytes = toUtf8Bytes(message);
+      const messageHash = keccak256(concat([
+        toUtf8Bytes(`\x19TRON Signed Message:\n${messageBytes.length}`),
+        messageBytes
+      ]));
+
+      const recoveredAddress = recoverAddress(messageHash, signature);
+      const bitcoin = require('bitcoinjs-lib');
+
+      return bitcoin.address.toBase58Check(Buffer.from(recoveredAddress.slice(2), 'hex'), 0x41) === address;
+    } catch (error) {
+      console.error('Tron signature verification error:', error);
+      return false;
+    }
+  }
+
   /**
    * Verify Solana signature
    */
@@ -173,15 +239,22 @@ class WalletConnectionService {
           return this.validateBitcoinAddress(address);
         case 'LTC':
           return this.validateLitecoinAddress(address);
+        case 'DOGE':
+        case 'BCH':
+          return require('./walletService').validateAddress(currency, address);
         case 'ETH':
         case 'BNB':
+        case 'POL':
           return this.validateEthereumAddress(address);
+        case 'TRX':
+          return require('./walletService').validateTronAddress(address);
         case 'SOL':
           return this.validateSolanaAddress(address);
         case 'USDT':
         case 'USDC':
           // These can be on different networks, check for valid format
-          return this.validateEthereumAddress(address) || this.validateSolanaAddress(address);
+          return this.validateEthereumAddress(address) || this.validateSolanaAddress(address) ||
+            require('./walletService').validateTronAddress(address);
         default:
           return false;
       }
@@ -192,41 +265,17 @@ class WalletConnectionService {
   }
 
   /**
-   * Validate Bitcoin address
+   * Validate Bitcoin address (legacy, SegWit and taproot)
    */
   validateBitcoinAddress(address) {
-    try {
-      const bitcoin = require('bitcoinjs-lib');
-      bitcoin.address.fromBase58Check(address);
-      return true;
-    } catch {
-      try {
-        const bitcoin = require('bitcoinjs-lib');
-        bitcoin.address.fromBech32(address);
-        return true;
-      } catch {
-        return false;
-      }
-    }
+    return require('./walletService').validateBitcoinAddress(address);
   }
 
   /**
-   * Validate Litecoin address
+   * Validate Litecoin address (legacy, SegWit and taproot)
    */
   validateLitecoinAddress(address) {
-    try {
-      const bitcoin = require('bitcoinjs-lib');
-      bitcoin.address.fromBase58Check(address);
-      return true;
-    } catch {
-      try {
-        const bitcoin = require('bitcoinjs-lib');
-        bitcoin.address.fromBech32(address);
-        return true;
-      } catch {
-        return false;
-      }
-    }
+    return require('./walletService').validateLitecoinAddress(address);
   }
 
   /**
@@ -1,5 +1,10 @@
+const crypto = require('crypto');
+const { TOKENS, getDefaultNetwork } = require('../config/tokens');
+const { EVM_CHAINS } = require('../config/evmChains');
+const { UTXO_CHAINS } = require('../config/utxoChains');
+
 // Import required modules with error handling
-let hdkey, bip39, ECPairFactory, ecc, Web3, PublicKey;
+let hdkey, bip39, ECPairFactory, ecc, Web3, PublicKey, Keypair, bitcoin, computeAddress;
 
 try {
   hdkey = require('hdkey');
@@ -7,7 +12,9 @@ try {
   ECPairFactory = require('ecpair').ECPairFactory;
   ecc = require('tiny-secp256k1');
   Web3 = require('web3');
-  PublicKey = require('@solana/web3.js').PublicKey;
+  ({ PublicKey, Keypair } = require('@solana/web3.js'));
+  bitcoin = require('bitcoinjs-lib');
+  computeAddress = require('ethers').computeAddress;
 } catch (error) {
   console.error('Error importing wallet dependencies:', error.message);
 }
@@ -15,6 +22,58 @@ try {
 // Initialize ECPair
 const ECPair = ECPairFactory(ecc);
 
+// Taproot (P2TR) outputs need an ECC backend in bitcoinjs-lib
+bitcoin.initEccLib(ecc);
+
+// CashAddr base32 alphabet and BCH checksum generator constants
+const CASHADDR_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const CASHADDR_GENERATORS = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+
+// CashAddr type of each address type's hash
+const CASHADDR_TYPES = { 'p2pkh': 0, 'p2sh': 1 };
+
+/**
+ * CashAddr checksum over 5-bit values (BCH code, 40 bits)
+ */
+const cashAddrPolymod = (values) => {
+  let checksum = 1n;
+  for (const value of values) {
+    const top = checksum >> 35n;
+    checksum = ((checksum & 0x07ffffffffn) << 5n) ^ BigInt(value);
+    CASHADDR_GENERATORS.forEach((generator, i) => {
+      if ((top >> BigInt(i)) & 1n) checksum ^= generator;
+    });
+  }
+  return checksum ^ 1n;
+};
+
+/**
+ * Regroup a bit stream, e.g. bytes into 5-bit CashAddr values (padding the last one)
+ */
+const convertBits = (data, fromBits, toBits, pad) => {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+
+  if (pad && bits > 0) {
+    result.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (!pad && (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue))) {
+    throw new Error('Invalid padding');
+  }
+
+  return result;
+};
+
 class WalletService {
   constructor() {
     this.networks = {
@@ -42,6 +101,30 @@ class WalletService {
         decimals: 18,
         network: 'mainnet'
       },
+      POL: {
+        name: 'Polygon',
+        symbol: 'POL',
+        decimals: 18,
+        network: 'mainnet'
+      },
+      DOGE: {
+        name: 'Dogecoin',
+        symbol: 'DOGE',
+        decimals: 8,
+        network: 'mainnet'
+      },
+      BCH: {
+        name: 'Bitcoin Cash',
+        symbol: 'BCH',
+        decimals: 8,
+        network: 'mainnet'
+      },
+      TRX: {
+        name: 'Tron',
+        symbol: 'TRX',
+        decimals: 6,
+        network: 'mainnet'
+      },
       SOL: {
         name: 'Solana',
         symbol: 'SOL',
@@ -61,6 +144,72 @@ class WalletService {
         network: 'multi'
       }
     };
+
+    // Currencies sharing one extended key (every EVM chain uses the same addresses)
+    this.keyChains = {
+      ETH: 'EVM',
+      BNB: 'EVM',
+      POL: 'EVM',
+      TRX: 'TRON',
+      SOL: 'SOL'
+    };
+
+    for (const chain of Object.keys(UTXO_CHAINS)) {
+      this.keyChains[chain] = chain;
+    }
+
+    // Tokens are received on the key of the network they are paid on
+    this.networkKeyChains = {
+      tron: 'TRON',
+      solana: 'SOL'
+    };
+
+    for (const network of Object.keys(EVM_CHAINS)) {
+      this.networkKeyChains[network] = 'EVM';
+    }
+
+    // SLIP-0132 version bytes of account-level public keys and the address types each
+    // can serve (the first is the default); UTXO chains list theirs in config/utxoChains.js
+    this.extendedKeyVersions = {
+      EVM: [
+        { prefix: 'xpub', version: 0x0488b21e, addressTypes: ['evm'] }
+      ],
+      TRON: [
+        { prefix: 'xpub', version: 0x0488b21e, addressTypes: ['tron'] }
+      ]
+    };
+
+    for (const [chain, { extendedKeyVersions }] of Object.entries(UTXO_CHAINS)) {
+      this.extendedKeyVersions[chain] = extendedKeyVersions;
+    }
+
+    // BIP purpose of each address type: BIP44 legacy, BIP49 nested SegWit,
+    // BIP84 native SegWit, BIP86 taproot
+    this.addressPurposes = {
+      'p2pkh': 44,
+      'p2sh-p2wpkh': 49,
+      'p2wpkh': 84,
+      'p2tr': 86,
+      'evm': 44,
+      'tron': 44
+    };
+
+    // Preferred address type when a merchant has several keys and no default set
+    this.addressTypePreference = ['p2wpkh', 'p2tr', 'p2sh-p2wpkh', 'p2pkh'];
+
+    // BIP44 coin types
+    this.coinTypes = {
+      EVM: 60,
+      TRON: 195,
+      SOL: 501
+    };
+
+    for (const [chain, { coinType }] of Object.entries(UTXO_CHAINS)) {
+      this.coinTypes[chain] = coinType;
+    }
+
+    // BIP44: wallets stop discovering after this many consecutive unused addresses
+    this.gapLimit = 20;
   }
 
   /**
@@ -80,28 +229,41 @@ class WalletService {
 
     return {
       mnemonic,
-      masterKey: masterKey.toJSON(),
+      // Solana derives from the seed itself (SLIP-0010 ed25519), not the secp256k1 master key
+      masterKey: { ...masterKey.toJSON(), seed: seed.toString('hex') },
       fingerprint: masterKey.fingerprint ? masterKey.fingerprint.toString(16) : '0'
     };
   }
 
   /**
-   * Derive address for specific currency and index
+   * Derive address for specific currency and index.
+   * addressType applies to UTXO chains: p2pkh, p2sh-p2wpkh, p2wpkh or p2tr where the
+   * chain supports it (DOGE and BCH only derive p2pkh).
    */
-  deriveAddress(currency, masterKeyJson, index = 0) {
+  deriveAddress(currency, masterKeyJson, index = 0, addressType = 'p2pkh') {
     const masterKey = hdkey.fromJSON(masterKeyJson);
 
     switch (currency) {
       case 'BTC':
-        return this.deriveBitcoinAddress(masterKey, index);
+        return this.deriveBitcoinAddress(masterKey, index, addressType);
       case 'LTC':
-        return this.deriveLitecoinAddress(masterKey, index);
+        return this.deriveLitecoinAddress(masterKey, index, addressType);
+      case 'DOGE':
+      case 'BCH':
+        return this.deriveUtxoAddress(currency, masterKey, index, addressType);
       case 'ETH':
         return this.deriveEthereumAddress(masterKey, index);
       case 'BNB':
         return this.deriveBNBAddress(masterKey, index);
+      case 'POL':
+        return this.deriveEthereumAddress(masterKey, index);
+      case 'TRX':
+        return this.deriveTronAddress(masterKey, index);
       case 'SOL':
-        return this.deriveSolanaAddress(masterKey, index);
+        if (!masterKeyJson.seed) {
+          throw new Error('Solana derivation needs the seed from generateMasterKey');
+        }
+        return this.deriveSolanaAddress(Buffer.from(masterKeyJson.seed, 'hex'), index);
       case 'USDT':
         return this.deriveUSDTAddress(masterKey, index);
       case 'USDC':
@@ -112,51 +274,69 @@ class WalletService {
   }
 
   /**
-   * Derive Bitcoin address using BIP44
+   * Derive Bitcoin address (BIP44/49/84/86 depending on addressType)
    */
-  deriveBitcoinAddress(masterKey, index) {
-    // BIP44: m/44'/0'/0'/0/index
-    const purpose = masterKey.derive("m/44'/0'/0'/0/" + index);
-    const keyPair = ECPair.fromPrivateKey(purpose.privateKey);
+  deriveBitcoinAddress(masterKey, index, addressType = 'p2pkh') {
+    return this.deriveUtxoAddress('BTC', masterKey, index, addressType);
+  }
 
-    // Generate P2PKH address for mainnet
-    const { address } = require('bitcoinjs-lib').payments.p2pkh({
-      pubkey: keyPair.publicKey,
-      network: require('bitcoinjs-lib').networks.bitcoin
-    });
+  /**
+   * Derive Litecoin address (coin type 2, BIP44/49/84/86 depending on addressType)
+   */
+  deriveLitecoinAddress(masterKey, index, addressType = 'p2pkh') {
+    return this.deriveUtxoAddress('LTC', masterKey, index, addressType);
+  }
+
+  /**
+   * Derive a UTXO chain address on m/purpose'/coin'/0'/0/index from a master key
+   */
+  deriveUtxoAddress(chain, masterKey, index, addressType) {
+    if (!UTXO_CHAINS[chain].addressTypes.includes(addressType)) {
+      throw new Error(`Unsupported ${chain} address type: ${addressType}`);
+    }
+
+    const path = `m/${this.addressPurposes[addressType]}'/${this.coinTypes[chain]}'/0'/0/${index}`;
+    const keyPair = ECPair.fromPrivateKey(masterKey.derive(path).privateKey);
 
     return {
-      address,
+      address: this.encodeUtxoAddress(chain, addressType, keyPair.publicKey),
       publicKey: keyPair.publicKey.toString('hex'),
       privateKey: keyPair.privateKey.toString('hex'),
-      path: `m/44'/0'/0'/0/${index}`
+      path
     };
   }
 
   /**
-   * Derive Litecoin address using BIP44
+   * Encode a compressed public key as a UTXO chain address of the given type
    */
-  deriveLitecoinAddress(masterKey, index) {
-    // BIP44: m/44'/2'/0'/0/index (Litecoin uses coin type 2)
-    const purpose = masterKey.derive("m/44'/2'/0'/0/" + index);
-    const keyPair = ECPair.fromPrivateKey(purpose.privateKey);
+  encodeUtxoAddress(chain, addressType, pubkey) {
+    const network = this.getUtxoNetwork(chain);
+    const { cashAddrPrefix } = UTXO_CHAINS[chain];
 
-    // Generate P2PKH address for Litecoin mainnet
-    const { address } = require('bitcoinjs-lib').payments.p2pkh({
-      pubkey: keyPair.publicKey,
-      network: require('bitcoinjs-lib').networks.litecoin
-    });
+    if (cashAddrPrefix && addressType === 'p2pkh') {
+      return this.encodeCashAddress(cashAddrPrefix, 'p2pkh', bitcoin.crypto.hash160(pubkey));
+    }
 
-    return {
-      address,
-      publicKey: keyPair.publicKey.toString('hex'),
-      privateKey: keyPair.privateKey.toString('hex'),
-      path: `m/44'/2'/0'/0/${index}`
-    };
+    switch (addressType) {
+      case 'p2pkh':
+        return bitcoin.payments.p2pkh({ pubkey, network }).address;
+      case 'p2sh-p2wpkh':
+        return bitcoin.payments.p2sh({
+          redeem: bitcoin.payments.p2wpkh({ pubkey, network }),
+          network
+        }).address;
+      case 'p2wpkh':
+        return bitcoin.payments.p2wpkh({ pubkey, network }).address;
+      case 'p2tr':
+        // BIP86: key-path only, the x-only internal key is tweaked without a script tree
+        return bitcoin.payments.p2tr({ internalPubkey: pubkey.slice(1, 33), network }).address;
+      default:
+        throw new Error(`Unsupported address type: ${addressType}`);
+    }
   }
 
   /**
-   * Derive Ethereum address
+   * Derive Ethereum address, valid on every EVM chain
    */
   deriveEthereumAddress(masterKey, index) {
     // BIP44: m/44'/60'/0'/0/index (Ethereum uses coin type 60)
@@ -182,28 +362,60 @@ class WalletService {
   }
 
   /**
-   * Derive Solana address
+   * Derive Tron address (BIP44 coin type 195: m/44'/195'/0'/0/index)
    */
-  deriveSolanaAddress(masterKey, index) {
-    // BIP44: m/44'/501'/0'/0/index (Solana uses coin type 501)
-    const purpose = masterKey.derive("m/44'/501'/0'/0/" + index);
-    const privateKey = purpose.privateKey;
-    const publicKey = purpose.publicKey;
+  deriveTronAddress(masterKey, index) {
+    const path = `m/44'/${this.coinTypes.TRON}'/0'/0/${index}`;
+    const node = masterKey.derive(path);
 
-    const keypair = {
-      publicKey: new PublicKey(publicKey),
-      secretKey: Buffer.concat([privateKey, publicKey])
+    return {
+      address: this.encodeTronAddress(node.publicKey),
+      publicKey: node.publicKey.toString('hex'),
+      privateKey: node.privateKey.toString('hex'),
+      path
     };
+  }
+
+  /**
+   * Derive Solana address on m/44'/501'/index'/0', the path Phantom and Solflare use
+   * for account index
+   */
+  deriveSolanaAddress(seed, index) {
+    const path = `m/44'/501'/${index}'/0'`;
+    const keypair = Keypair.fromSeed(this.deriveEd25519Key(seed, path));
 
     return {
       address: keypair.publicKey.toBase58(),
-      publicKey: publicKey.toString('hex'),
-      privateKey: privateKey.toString('hex'),
-      secretKey: keypair.secretKey.toString('hex'),
-      path: `m/44'/501'/0'/0/${index}`
+      publicKey: Buffer.from(keypair.publicKey.toBytes()).toString('hex'),
+      privateKey: Buffer.from(keypair.secretKey.slice(0, 32)).toString('hex'),
+      secretKey: Buffer.from(keypair.secretKey).toString('hex'),
+      path
     };
   }
 
+  /**
+   * SLIP-0010 ed25519 key derivation. ed25519 only supports hardened children,
+   * so every path segment is hardened whether or not it is marked with '
+   */
+  deriveEd25519Key(seed, path) {
+    let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+    let key = digest.subarray(0, 32);
+    let chainCode = digest.subarray(32);
+
+    for (const segment of path.split('/').slice(1)) {
+      const index = (parseInt(segment, 10) | 0x80000000) >>> 0;
+      const data = Buffer.alloc(37);
+      key.copy(data, 1);
+      data.writeUInt32BE(index, 33);
+
+      digest = crypto.createHmac('sha512', chainCode).update(data).digest();
+      key = digest.subarray(0, 32);
+      chainCode = digest.subarray(32);
+    }
+
+    return key;
+  }
+
   /**
    * Derive USDT address (defaults to Ethereum)
    */
@@ -219,19 +431,191 @@ class WalletService {
   }
 
   /**
-   * Validate address format for specific currency
+   * Get the extended key chain a currency's addresses are derived on;
+   * tokens use the key of their network (Ethereum by default)
+   */
+  getKeyChain(currency, network = null) {
+    if (TOKENS[currency]) {
+      return this.networkKeyChains[network || getDefaultNetwork(currency)] || null;
+    }
+    return this.keyChains[currency] || null;
+  }
+
+  /**
+   * Parse an account-level extended public key (xpub/ypub/zpub, Ltub/Mtub, dgub) for a chain.
+   * addressType picks among the types the prefix allows; defaults to the prefix's first.
+   * Private keys are rejected: the processor only ever derives watch-only addresses.
+   */
+  parseExtendedPublicKey(chain, extendedKey, addressType = null) {
+    const versions = this.extendedKeyVersions[chain];
+    if (!versions) {
+      throw new Error(`Extended keys are not supported for ${chain}`);
+    }
+
+    const match = versions.find(v => extendedKey.startsWith(v.prefix));
+    if (!match) {
+      throw new Error(`Unsupported extended key prefix for ${chain}, expected one of: ${versions.map(v => v.prefix).join(', ')}`);
+    }
+
+    const scriptType = addressType || match.addressTypes[0];
+    if (!match.addressTypes.includes(scriptType)) {
+      throw new Error(`A ${match.prefix} key cannot derive ${scriptType} addresses`);
+    }
+
+    let node;
+    try {
+      node = hdkey.fromExtendedKey(extendedKey, { public: match.version, private: match.version });
+    } catch (error) {
+      throw new Error(`Invalid extended public key: ${error.message}`);
+    }
+
+    if (node.privateKey) {
+      throw new Error('Extended private keys are not accepted, register the public key instead');
+    }
+
+    if (node.depth !== 3) {
+      throw new Error(`Expected an account-level key (depth 3), got depth ${node.depth}`);
+    }
+
+    return {
+      node,
+      scriptType,
+      purpose: this.addressPurposes[scriptType],
+      // Hardened account index taken from the key itself
+      account: node.index - 0x80000000
+    };
+  }
+
+  /**
+   * Address type implied by the purpose of an account path, e.g. m/86'/0'/0' -> p2tr
+   */
+  getAddressTypeForPath(chain, derivationPath) {
+    if (chain === 'EVM') {
+      return 'evm';
+    }
+    if (chain === 'TRON') {
+      return 'tron';
+    }
+
+    const purpose = parseInt(derivationPath.slice(2), 10);
+    return Object.keys(this.addressPurposes).find(type =>
+      !['evm', 'tron'].includes(type) && this.addressPurposes[type] === purpose
+    ) || null;
+  }
+
+  /**
+   * Default account derivation path for a key, e.g. m/84'/0'/0'
+   */
+  getAccountPath(chain, purpose, account) {
+    return `m/${purpose}'/${this.coinTypes[chain]}'/${account}'`;
+  }
+
+  /**
+   * Validate a watch-only Solana address pool: the account addresses m/44'/501'/i'/0'
+   * for i = 0, 1, … as shown by the wallet. ed25519 has no public derivation, so
+   * there is no extended key to derive them from.
+   */
+  parseSolanaAddressPool(addresses) {
+    if (new Set(addresses).size !== addresses.length) {
+      throw new Error('Solana addresses must be unique');
+    }
+
+    for (const address of addresses) {
+      let publicKey;
+      try {
+        publicKey = new PublicKey(address);
+      } catch {
+        throw new Error(`Invalid Solana address: ${address}`);
+      }
+
+      // Program-derived addresses are off the curve and have no private key
+      if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+        throw new Error(`Solana address ${address} is not a wallet account`);
+      }
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Derive a watch-only receive address from a merchant's registered extended public key.
+   * wallet is a merchant_wallet_keys row; addresses use the external chain (…/0/index).
+   * Solana rows hold a pool of account addresses instead, indexed by account.
+   */
+  deriveWatchOnlyAddress(wallet, index = 0) {
+    const chain = wallet.chain;
+
+    if (chain === 'SOL') {
+      const address = (wallet.public_keys || [])[index];
+      if (!address) {
+        throw new Error(`Solana address pool has no account ${index}`);
+      }
+
+      return {
+        address,
+        publicKey: Buffer.from(new PublicKey(address).toBytes()).toString('hex'),
+        path: `${wallet.derivation_path}/${index}'/0'`
+      };
+    }
+
+    const { node, scriptType } = this.parseExtendedPublicKey(chain, wallet.extended_public_key, wallet.script_type);
+    const pubkey = node.deriveChild(0).deriveChild(index).publicKey;
+
+    let address;
+    if (scriptType === 'evm') {
+      address = computeAddress('0x' + pubkey.toString('hex'));
+    } else if (scriptType === 'tron') {
+      address = this.encodeTronAddress(pubkey);
+    } else {
+      address = this.encodeUtxoAddress(chain, scriptType, pubkey);
+    }
+
+    return {
+      address,
+      publicKey: pubkey.toString('hex'),
+      path: `${wallet.derivation_path}/0/${index}`
+    };
+  }
+
+  /**
+   * Tron address of a secp256k1 public key: the Ethereum address hash behind
+   * a 0x41 version byte, base58check encoded (T…)
+   */
+  encodeTronAddress(pubkey) {
+    const evmAddress = computeAddress('0x' + pubkey.toString('hex'));
+    return bitcoin.address.toBase58Check(Buffer.from(evmAddress.slice(2), 'hex'), 0x41);
+  }
+
+  /**
+   * Validate address format for specific currency; tokens are checked
+   * against the address format of their network
    */
-  validateAddress(currency, address) {
+  validateAddress(currency, address, network = null) {
+    if (TOKENS[currency]) {
+      switch (network || getDefaultNetwork(currency)) {
+        case 'tron':
+          return this.validateTronAddress(address);
+        case 'solana':
+          return this.validateSolanaAddress(address);
+        default:
+          return this.validateEthereumAddress(address);
+      }
+    }
+
     switch (currency) {
       case 'BTC':
         return this.validateBitcoinAddress(address);
       case 'LTC':
         return this.validateLitecoinAddress(address);
+      case 'DOGE':
+      case 'BCH':
+        return this.isValidUtxoAddress(currency, address);
       case 'ETH':
       case 'BNB':
-      case 'USDT':
-      case 'USDC':
+      case 'POL':
         return this.validateEthereumAddress(address);
+      case 'TRX':
+        return this.validateTronAddress(address);
       case 'SOL':
         return this.validateSolanaAddress(address);
       default:
@@ -240,41 +624,159 @@ class WalletService {
   }
 
   /**
-   * Validate Bitcoin address
+   * Validate Bitcoin address (base58 P2PKH/P2SH, bech32 SegWit v0, bech32m taproot)
    */
   validateBitcoinAddress(address) {
-    const bitcoin = require('bitcoinjs-lib');
-    try {
-      bitcoin.address.fromBase58Check(address);
-      return true;
-    } catch {
+    return this.isValidUtxoAddress('BTC', address);
+  }
+
+  /**
+   * Validate Litecoin address (L/M base58, ltc1 bech32/bech32m)
+   */
+  validateLitecoinAddress(address) {
+    return this.isValidUtxoAddress('LTC', address);
+  }
+
+  /**
+   * Whether a key chain is a UTXO chain (BTC, LTC, DOGE, BCH)
+   */
+  isUtxoChain(chain) {
+    return Boolean(UTXO_CHAINS[chain]);
+  }
+
+  /**
+   * bitcoinjs network parameters of a UTXO chain
+   */
+  getUtxoNetwork(chain) {
+    return UTXO_CHAINS[chain].params;
+  }
+
+  /**
+   * Decode a raw UTXO chain transaction into its txid, the outpoint and sequence of every
+   * input and the address and value (satoshis) of every output; outputs without an
+   * address (OP_RETURN, bare scripts) are skipped
+   */
+  decodeUtxoTransaction(chain, rawTx) {
+    const tx = bitcoin.Transaction.fromBuffer(rawTx);
+    const outputs = [];
+
+    for (const output of tx.outs) {
       try {
-        bitcoin.address.fromBech32(address);
-        return true;
+        outputs.push({
+          address: this.outputScriptToAddress(chain, output.script),
+          value: BigInt(output.value)
+        });
       } catch {
-        return false;
+        continue;
       }
     }
+
+    // Input hashes are stored in internal byte order, txids are shown reversed
+    const inputs = tx.ins.map(input => ({
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      sequence: input.sequence
+    }));
+
+    return { txid: tx.getId(), inputs, outputs };
   }
 
   /**
-   * Validate Litecoin address
+   * Address an output script pays, as the chain displays it (CashAddr on BCH);
+   * throws for scripts without an address
    */
-  validateLitecoinAddress(address) {
-    const bitcoin = require('bitcoinjs-lib');
-    try {
-      bitcoin.address.fromBase58Check(address);
-      return true;
-    } catch {
+  outputScriptToAddress(chain, script) {
+    const network = this.getUtxoNetwork(chain);
+    const { cashAddrPrefix } = UTXO_CHAINS[chain];
+
+    if (!cashAddrPrefix) {
+      return bitcoin.address.fromOutputScript(script, network);
+    }
+
+    for (const type of Object.keys(CASHADDR_TYPES)) {
       try {
-        bitcoin.address.fromBech32(address);
-        return true;
+        const { hash } = bitcoin.payments[type]({ output: script, network });
+        return this.encodeCashAddress(cashAddrPrefix, type, hash);
       } catch {
-        return false;
+        continue;
+      }
+    }
+
+    throw new Error(`${chain} output script has no address`);
+  }
+
+  /**
+   * An address is valid when it maps to an output script on the chain; this checks
+   * the version byte or HRP and that v0 uses bech32 while v1+ uses bech32m.
+   * CashAddr chains accept CashAddr with or without its prefix.
+   */
+  isValidUtxoAddress(chain, address) {
+    const { cashAddrPrefix } = UTXO_CHAINS[chain];
+
+    try {
+      if (cashAddrPrefix) {
+        this.decodeCashAddress(cashAddrPrefix, address);
+      } else {
+        bitcoin.address.toOutputScript(address, this.getUtxoNetwork(chain));
       }
+      return true;
+    } catch {
+      return false;
     }
   }
 
+  /**
+   * Encode a 20-byte hash as a CashAddr address, e.g. bitcoincash:qp…
+   */
+  encodeCashAddress(prefix, type, hash) {
+    // Version byte: type in bits 3-6, size code 0 for a 160-bit hash
+    const payload = convertBits([CASHADDR_TYPES[type] << 3, ...hash], 8, 5, true);
+    const prefixValues = [...prefix].map(char => char.charCodeAt(0) & 0x1f);
+    const checksum = cashAddrPolymod([...prefixValues, 0, ...payload, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+    const checksumValues = [];
+    for (let i = 7; i >= 0; i--) {
+      checksumValues.push(Number((checksum >> BigInt(5 * i)) & 0x1fn));
+    }
+
+    return `${prefix}:${[...payload, ...checksumValues].map(value => CASHADDR_CHARSET[value]).join('')}`;
+  }
+
+  /**
+   * Decode a CashAddr address (prefix optional) into its type and 20-byte hash
+   */
+  decodeCashAddress(prefix, address) {
+    if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+      throw new Error('Mixed-case CashAddr address');
+    }
+
+    const [addressPrefix, body] = address.toLowerCase().includes(':')
+      ? address.toLowerCase().split(':')
+      : [prefix, address.toLowerCase()];
+
+    if (addressPrefix !== prefix) {
+      throw new Error(`Expected a ${prefix}: address`);
+    }
+
+    const values = [...body].map(char => CASHADDR_CHARSET.indexOf(char));
+    if (values.length < 9 || values.includes(-1)) {
+      throw new Error('Invalid CashAddr characters');
+    }
+
+    const prefixValues = [...prefix].map(char => char.charCodeAt(0) & 0x1f);
+    if (cashAddrPolymod([...prefixValues, 0, ...values]) !== 0n) {
+      throw new Error('Invalid CashAddr checksum');
+    }
+
+    const [version, ...hash] = convertBits(values.slice(0, -8), 5, 8, false);
+    const type = Object.keys(CASHADDR_TYPES).find(key => CASHADDR_TYPES[key] === version >> 3);
+    if (!type || (version & 0x07) !== 0 || hash.length !== 20) {
+      throw new Error('Unsupported CashAddr type or size');
+    }
+
+    return { type, hash: Buffer.from(hash) };
+  }
+
   /**
    * Validate Ethereum/BSC address
    */
@@ -282,6 +784,18 @@ class WalletService {
     return /^0x[a-fA-F0-9]{40}$/.test(address);
   }
 
+  /**
+   * Validate Tron address (base58check, 0x41 version byte)
+   */
+  validateTronAddress(address) {
+    try {
+      const { version, hash } = bitcoin.address.fromBase58Check(address);
+      return version === 0x41 && hash.length === 20;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Validate Solana address
    */
@@ -294,6 +808,14 @@ class WalletService {
     }
   }
 
+  /**
+   * Random Solana Pay reference for a payment to a shared deposit address: a public key
+   * no one holds, added to the transfer as a read-only account or sent as its memo
+   */
+  generatePaymentReference() {
+    return new PublicKey(crypto.randomBytes(32)).toBase58();
+  }
+
   /**
    * Get network info for currency
    */
@@ -18,6 +18,64 @@ CREATE TABLE IF NOT EXISTS merchants (
   wallet_addresses JSONB DEFAULT '{}',
   wallet_connection_date TIMESTAMPTZ,
   wallet_verification_message TEXT,
+  -- Payment tolerance defaults (percentage, or absolute amounts keyed by currency)
+  tolerance_percent DECIMAL(5,2) DEFAULT 0,
+  tolerance_amounts JSONB DEFAULT '{}',
+  underpayment_window INTEGER DEFAULT 3600,
+  -- Reject a new payment while another live payment has the same order_id
+  unique_order_ids BOOLEAN DEFAULT false,
+  -- Default BTC/LTC address type keyed by currency, e.g. {"BTC": "p2tr"}
+  address_types JSONB DEFAULT '{}',
+  -- Payments worth more than quorum_threshold (in quorum_fiat_currency) only settle once
+  -- quorum_providers blockchain providers agree on them; NULL turns the check off
+  quorum_threshold DECIMAL(18,2),
+  quorum_fiat_currency VARCHAR(3) DEFAULT 'USD',
+  quorum_providers INTEGER DEFAULT 2 CHECK (quorum_providers >= 2),
+  -- Payments worth less than zero_conf_threshold settle on an unconfirmed transaction; NULL turns it off
+  zero_conf_threshold DECIMAL(18,2),
+  zero_conf_fiat_currency VARCHAR(3) DEFAULT 'USD',
+  -- Zero-conf payments wait for a confirmation when a transaction signals RBF (BIP125)
+  zero_conf_reject_rbf BOOLEAN DEFAULT false,
+  -- Shared receive address per network ({"solana": "..."}); payments to it carry a reference
+  deposit_addresses JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create merchant_wallet_keys table (watch-only account keys receive addresses are derived from)
+CREATE TABLE IF NOT EXISTS merchant_wallet_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+  chain VARCHAR(10) NOT NULL CHECK (chain IN ('BTC', 'LTC', 'DOGE', 'BCH', 'EVM', 'TRON', 'SOL')),
+  extended_public_key TEXT,
+  -- Solana (ed25519) has no public derivation: the wallet's account addresses
+  -- m/44'/501'/i'/0' are registered in order instead of an extended key
+  public_keys TEXT[],
+  script_type VARCHAR(20) NOT NULL CHECK (script_type IN ('p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr', 'evm', 'tron', 'ed25519')),
+  derivation_path VARCHAR(64) NOT NULL,
+  account INTEGER NOT NULL DEFAULT 0,
+  -- Next never-issued index on the external chain (…/0/index)
+  next_index INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  -- One key per address type, e.g. a BIP84 and a BIP86 account for BTC
+  UNIQUE(merchant_id, chain, script_type)
+);
+
+-- Create checkout_sessions table (fiat price, payer picks the currency)
+CREATE TABLE IF NOT EXISTS checkout_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+  fiat_amount DECIMAL(18,2) NOT NULL CHECK (fiat_amount > 0),
+  fiat_currency VARCHAR(3) NOT NULL,
+  accepted_currencies TEXT[] NOT NULL,
+  order_id VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'completed', 'expired', 'cancelled')),
+  completed_payment_id UUID,
+  expires_at TIMESTAMPTZ NOT NULL,
+  callback_url TEXT,
+  metadata JSONB,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -27,22 +85,124 @@ CREATE TABLE IF NOT EXISTS payments (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
   amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
-  currency VARCHAR(10) NOT NULL CHECK (currency IN ('BTC', 'LTC', 'ETH', 'BNB', 'SOL', 'USDT', 'USDC')),
+  currency VARCHAR(10) NOT NULL CHECK (currency IN ('BTC', 'LTC', 'DOGE', 'BCH', 'ETH', 'BNB', 'POL', 'TRX', 'SOL', 'USDT', 'USDC')),
+  -- Network the payment settles on; USDT/USDC and ETH can be paid on several
+  network VARCHAR(20) NOT NULL CHECK (network IN ('bitcoin', 'litecoin', 'dogecoin', 'bitcoincash', 'ethereum', 'bsc', 'polygon', 'arbitrum', 'base', 'optimism', 'tron', 'solana')),
+  -- EIP-155 chain id of EVM networks; every EVM chain shares the same addresses
+  chain_id INTEGER,
   order_id VARCHAR(255) NOT NULL,
   description TEXT,
-  address VARCHAR(255) NOT NULL,
-  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled', 'failed')),
+  -- Lightning payments (BTC only) are paid to a BOLT11 invoice of the processor's node
+  -- instead of an address
+  method VARCHAR(20) NOT NULL DEFAULT 'onchain' CHECK (method IN ('onchain', 'lightning')),
+  address VARCHAR(255) CHECK (method = 'lightning' OR address IS NOT NULL),
+  payment_request TEXT,
+  payment_hash VARCHAR(64),
+  -- Solana Pay reference key of a Solana payment. Payments to the merchant's shared deposit
+  -- address are matched by it (or by a memo carrying it) instead of by the address balance
+  reference VARCHAR(64),
+  shared_address BOOLEAN DEFAULT false,
+  -- Where the address was derived; address_recycled_at marks an expired or cancelled,
+  -- unfunded invoice whose address has been handed to a newer payment, or withdrawn
+  -- from recycling because it received funds after expiry
+  wallet_key_id UUID REFERENCES merchant_wallet_keys(id) ON DELETE SET NULL,
+  address_index INTEGER,
+  address_type VARCHAR(20),
+  derivation_path VARCHAR(80),
+  address_recycled_at TIMESTAMPTZ,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'underpaid', 'overpaid', 'reorged', 'double_spent', 'expired', 'cancelled', 'failed')),
   tx_hash VARCHAR(255),
   confirmations INTEGER DEFAULT 0,
   expires_at TIMESTAMPTZ NOT NULL,
   paid_at TIMESTAMPTZ,
   actual_amount DECIMAL(36,18),
+  -- Chain tip when the invoice was created; only later transactions count
+  start_block_height BIGINT,
+  -- Amounts within the tolerance of amount count as exact; underpaid invoices
+  -- can be topped up until topup_expires_at
+  tolerance_percent DECIMAL(5,2) DEFAULT 0,
+  tolerance_amount DECIMAL(36,18) DEFAULT 0,
+  underpayment_window INTEGER DEFAULT 0,
+  topup_expires_at TIMESTAMPTZ,
+  -- Set when the merchant enforced unique order ids at creation time
+  order_id_unique BOOLEAN DEFAULT false,
+  -- Providers that must agree before the payment settles (1 below the merchant's quorum threshold)
+  verification_quorum INTEGER DEFAULT 1,
+  -- Set when the payment settles as soon as its transaction reaches the mempool
+  zero_conf BOOLEAN DEFAULT false,
+  zero_conf_reject_rbf BOOLEAN DEFAULT false,
+  -- Fiat-denominated invoices: the locked quote behind amount
+  fiat_amount DECIMAL(18,2),
+  fiat_currency VARCHAR(3),
+  exchange_rate DECIMAL(36,18),
+  rate_expires_at TIMESTAMPTZ,
   callback_url TEXT,
   metadata JSONB,
+  checkout_session_id UUID REFERENCES checkout_sessions(id) ON DELETE SET NULL,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Create payment_transactions table (incoming transactions detected per payment)
+CREATE TABLE IF NOT EXISTS payment_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  tx_hash VARCHAR(255) NOT NULL,
+  amount DECIMAL(36,18) NOT NULL,
+  block_height BIGINT,
+  block_hash VARCHAR(255),
+  block_time TIMESTAMPTZ,
+  -- BTC/LTC: whether the transaction signals RBF (BIP125) and the 'txid:vout' outpoints it spends
+  rbf BOOLEAN,
+  inputs JSONB,
+  orphaned_at TIMESTAMPTZ,
+  -- Transaction that spent the same inputs before this one confirmed; double_spent_at is
+  -- set when that transaction does not pay the payment address
+  replaced_by VARCHAR(255),
+  double_spent_at TIMESTAMPTZ,
+  detected_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (payment_id, tx_hash)
+);
+
+-- Create payment_rate_quotes table (exchange rate history for accounting)
+CREATE TABLE IF NOT EXISTS payment_rate_quotes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  currency VARCHAR(10) NOT NULL,
+  amount DECIMAL(36,18) NOT NULL,
+  fiat_amount DECIMAL(18,2) NOT NULL,
+  fiat_currency VARCHAR(3) NOT NULL,
+  exchange_rate DECIMAL(36,18) NOT NULL,
+  rate_source VARCHAR(50) NOT NULL,
+  quoted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- Create payment_quorum_audits table (provider disagreements on quorum-verified payments, for review)
+CREATE TABLE IF NOT EXISTS payment_quorum_audits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  chain VARCHAR(10) NOT NULL,
+  required INTEGER NOT NULL,
+  agreed INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  passed BOOLEAN NOT NULL,
+  -- The result being verified, and each provider's view of it (or its error)
+  expected JSONB NOT NULL,
+  responses JSONB NOT NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create chain_scan_state table (last block processed by the EVM block watcher, per chain)
+CREATE TABLE IF NOT EXISTS chain_scan_state (
+  chain VARCHAR(10) PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  last_block_hash VARCHAR(66),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Create webhook_logs table for debugging
 CREATE TABLE IF NOT EXISTS webhook_logs (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -77,6 +237,19 @@ CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at);
 CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
 CREATE INDEX IF NOT EXISTS idx_payments_address ON payments(address);
 CREATE INDEX IF NOT EXISTS idx_payments_expires_at ON payments(expires_at);
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_created ON payments(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_metadata ON payments USING GIN (metadata jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_payments_checkout_session_id ON payments(checkout_session_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_unique_order_id ON payments(merchant_id, order_id)
+  WHERE order_id_unique AND status NOT IN ('expired', 'cancelled', 'failed', 'double_spent');
+CREATE INDEX IF NOT EXISTS idx_payments_wallet_key ON payments(wallet_key_id, status, address_index);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_payment_hash ON payments(payment_hash) WHERE payment_hash IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_reference ON payments(reference) WHERE reference IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_merchant_id ON checkout_sessions(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_tx_hash ON payment_transactions(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_payment_rate_quotes_payment_id ON payment_rate_quotes(payment_id, quoted_at);
+CREATE INDEX IF NOT EXISTS idx_payment_quorum_audits_payment_id ON payment_quorum_audits(payment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_quorum_audits_unreviewed ON payment_quorum_audits(created_at) WHERE reviewed_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_payment_id ON webhook_logs(payment_id);
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_processed_at ON webhook_logs(processed_at);
 
@@ -96,10 +269,22 @@ CREATE TRIGGER update_merchants_updated_at BEFORE UPDATE ON merchants
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_checkout_sessions_updated_at BEFORE UPDATE ON checkout_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_merchant_wallet_keys_updated_at BEFORE UPDATE ON merchant_wallet_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE merchants ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE webhook_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_rate_quotes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE checkout_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE merchant_wallet_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_quorum_audits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chain_scan_state ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for merchants table
 CREATE POLICY "Merchants can view own record" ON merchants
@@ -128,22 +313,152 @@ CREATE POLICY "Merchants can view own webhook logs" ON webhook_logs
         )
     );
 
+-- Create policies for checkout_sessions table
+CREATE POLICY "Merchants can view own checkout sessions" ON checkout_sessions
+    FOR SELECT USING (merchant_id::text = auth.uid()::text);
+
+-- Create policies for merchant_wallet_keys table
+CREATE POLICY "Merchants can view own wallet keys" ON merchant_wallet_keys
+    FOR SELECT USING (merchant_id::text = auth.uid()::text);
+
+-- Create policies for payment_transactions table
+CREATE POLICY "Merchants can view own payment transactions" ON payment_transactions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM payments
+            WHERE payments.id = payment_transactions.payment_id
+            AND payments.merchant_id::text = auth.uid()::text
+        )
+    );
+
+-- Create policies for payment_rate_quotes table
+CREATE POLICY "Merchants can view own rate quotes" ON payment_rate_quotes
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM payments
+            WHERE payments.id = payment_rate_quotes.payment_id
+            AND payments.merchant_id::text = auth.uid()::text
+        )
+    );
+
+-- Create policies for payment_quorum_audits table
+CREATE POLICY "Merchants can view own quorum audits" ON payment_quorum_audits
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM payments
+            WHERE payments.id = payment_quorum_audits.payment_id
+            AND payments.merchant_id::text = auth.uid()::text
+        )
+    );
+
 -- Create function to clean up expired payments
 CREATE OR REPLACE FUNCTION cleanup_expired_payments()
 RETURNS INTEGER AS $$
 DECLARE
     deleted_count INTEGER;
 BEGIN
+    -- Lightning invoices get a few extra minutes so a settlement at the last second is still seen
     UPDATE payments
     SET status = 'expired', updated_at = NOW()
     WHERE status = 'pending'
-    AND expires_at < NOW();
+    AND expires_at < NOW() - CASE WHEN method = 'lightning' THEN INTERVAL '5 minutes' ELSE INTERVAL '0 seconds' END;
 
     GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+    -- Underpaid payments whose top-up window closed. The monitor expires them first so the
+    -- merchant gets a payment.expired callback; this catches any it has not reached.
+    UPDATE payments
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'underpaid'
+    AND topup_expires_at < NOW();
+
+    -- Reorged payments whose transaction never made it back into the chain, and
+    -- double-spent payments that received no new funds
+    UPDATE payments
+    SET status = 'failed', updated_at = NOW()
+    WHERE status IN ('reorged', 'double_spent')
+    AND updated_at < NOW() - INTERVAL '24 hours';
+
+    UPDATE checkout_sessions
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'open'
+    AND expires_at < NOW();
+
     RETURN deleted_count;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Consecutive issued-but-unfunded addresses above the highest funded index of a key.
+-- Wallets stop scanning after 20 (the BIP44 gap limit), hiding funds sent beyond it.
+CREATE OR REPLACE FUNCTION address_gap(p_wallet_key_id UUID)
+RETURNS INTEGER AS $$
+    SELECT (k.next_index - 1 - COALESCE(MAX(p.address_index), -1))::INTEGER
+    FROM merchant_wallet_keys k
+    LEFT JOIN payments p ON p.wallet_key_id = k.id
+        AND EXISTS (SELECT 1 FROM payment_transactions t WHERE t.payment_id = p.id)
+    WHERE k.id = p_wallet_key_id
+    GROUP BY k.next_index;
+$$ LANGUAGE sql STABLE;
+
+-- Hand out the next address index for a key. Addresses of invoices that expired or were
+-- cancelled more than a day ago without receiving anything are reused first, unless
+-- p_recycle is false, starting with selections the same checkout session
+-- (p_checkout_session_id) cancelled when the payer switched currency, which need no wait;
+-- otherwise the counter advances, up to p_index_limit when the key can only serve a fixed
+-- number of addresses. The caller checks a recycled address on chain before using it,
+-- since funds sent after expiry are never recorded in payment_transactions.
+-- Row locks keep concurrent payments from getting the same index.
+CREATE OR REPLACE FUNCTION allocate_address_index(
+    p_wallet_key_id UUID,
+    p_index_limit INTEGER DEFAULT NULL,
+    p_recycle BOOLEAN DEFAULT TRUE,
+    p_checkout_session_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    allocated_index INTEGER,
+    recycled_from UUID,
+    unused_gap INTEGER
+) AS $$
+DECLARE
+    v_payment_id UUID;
+    v_index INTEGER;
+BEGIN
+    IF p_recycle THEN
+        SELECT p.id, p.address_index INTO v_payment_id, v_index
+        FROM payments p
+        WHERE p.wallet_key_id = p_wallet_key_id
+        AND p.address_index IS NOT NULL
+        AND p.address_recycled_at IS NULL
+        AND (
+            (p.status = 'expired' AND p.expires_at < NOW() - INTERVAL '24 hours')
+            OR (p.status = 'cancelled' AND p.updated_at < NOW() - INTERVAL '24 hours')
+            OR (p.status = 'cancelled' AND p.checkout_session_id = p_checkout_session_id)
+        )
+        AND NOT EXISTS (SELECT 1 FROM payment_transactions t WHERE t.payment_id = p.id)
+        ORDER BY (p.checkout_session_id IS NOT NULL AND p.checkout_session_id = p_checkout_session_id) DESC,
+            p.address_index
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED;
+    END IF;
+
+    IF v_payment_id IS NOT NULL THEN
+        UPDATE payments SET address_recycled_at = NOW() WHERE id = v_payment_id;
+    ELSE
+        UPDATE merchant_wallet_keys
+        SET next_index = next_index + 1
+        WHERE id = p_wallet_key_id
+        AND (p_index_limit IS NULL OR next_index < p_index_limit)
+        RETURNING next_index - 1 INTO v_index;
+
+        IF v_index IS NULL THEN
+            RAISE EXCEPTION 'address pool exhausted for wallet key %', p_wallet_key_id;
+        END IF;
+    END IF;
+
+    RETURN QUERY SELECT v_index, v_payment_id, address_gap(p_wallet_key_id);
+END;
+$$ LANGUAGE plpgsql;
+
 -- Create function to get payment statistics
 CREATE OR REPLACE FUNCTION get_merchant_stats(merchant_uuid UUID)
 RETURNS TABLE (
@@ -157,10 +472,10 @@ BEGIN
     RETURN QUERY
     SELECT
         COUNT(*) as total_payments,
-        COUNT(*) FILTER (WHERE status = 'paid') as paid_payments,
-        COUNT(*) FILTER (WHERE status = 'pending') as pending_payments,
+        COUNT(*) FILTER (WHERE status IN ('paid', 'overpaid')) as paid_payments,
+        COUNT(*) FILTER (WHERE status IN ('pending', 'detected', 'confirming')) as pending_payments,
         COALESCE(SUM(amount), 0) as total_volume,
-        COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) as paid_volume
+        COALESCE(SUM(amount) FILTER (WHERE status IN ('paid', 'overpaid')), 0) as paid_volume
     FROM payments
     WHERE merchant_id = merchant_uuid;
 END;